@@ -0,0 +1,178 @@
+/**
+ * Barcode Encoder - Offline 1D barcode encoder for receipt previews
+ * Turns a value into bar modules (CODE128, EAN-13, CODE39) so the preview can
+ * draw the same symbol the printer prints with GS k
+ *
+ * Usage:
+ *   const barcode = BarcodeEncoder.encode('BILL-2025-001', 'CODE128');
+ *   barcode.modules // [true, true, false, ...] - true = bar, one entry per module
+ */
+
+const BarcodeEncoder = (() => {
+    const SYMBOLOGIES = ['CODE128', 'EAN13', 'CODE39'];
+
+    // CODE128 symbol values 0-106 as bar/space widths (106 = stop)
+    const CODE128_PATTERNS = [
+        '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+        '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+        '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+        '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+        '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+        '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+        '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+        '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+        '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+        '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+        '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ];
+    const CODE128_START_B = 104;
+    const CODE128_START_C = 105;
+    const CODE128_STOP = 106;
+
+    // EAN-13 digit encodings (L = odd parity, G = even parity, R = right half)
+    const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+    const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+    const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+    // Left-half parity, selected by the first digit
+    const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLL', 'LGLGGL', 'LGGLGL'];
+
+    // CODE39 characters as 9 elements (bar, space, bar, ...), n = narrow, w = wide
+    const CODE39_PATTERNS = {
+        '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn', '4': 'nnnwwnnnw',
+        '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw', '8': 'wnnwnnwnn', '9': 'nnwwnnwnn',
+        'A': 'wnnnnwnnw', 'B': 'nnwnnwnnw', 'C': 'wnwnnwnnn', 'D': 'nnnnwwnnw', 'E': 'wnnnwwnnn',
+        'F': 'nnwnwwnnn', 'G': 'nnnnnwwnw', 'H': 'wnnnnwwnn', 'I': 'nnwnnwwnn', 'J': 'nnnnwwwnn',
+        'K': 'wnnnnnnww', 'L': 'nnwnnnnww', 'M': 'wnwnnnnwn', 'N': 'nnnnwnnww', 'O': 'wnnnwnnwn',
+        'P': 'nnwnwnnwn', 'Q': 'nnnnnnwww', 'R': 'wnnnnnwwn', 'S': 'nnwnnnwwn', 'T': 'nnnnwnwwn',
+        'U': 'wwnnnnnnw', 'V': 'nwwnnnnnw', 'W': 'wwwnnnnnn', 'X': 'nwnnwnnnw', 'Y': 'wwnnwnnnn',
+        'Z': 'nwwnwnnnn', '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '$': 'nwnwnwnnn',
+        '/': 'nwnwnnnwn', '+': 'nwnnnwnwn', '%': 'nnnwnwnwn', '*': 'nwnnwnwnn'
+    };
+    // Wide elements are three modules wide (wide:narrow ratio 3:1)
+    const CODE39_WIDE = 3;
+
+    /**
+     * Encode a value as barcode modules
+     * @param {string} value - Data to encode
+     * @param {string} symbology - CODE128, EAN13 or CODE39 (defaults to CODE128)
+     * @returns {object} { symbology, data, text, modules, codeSet }
+     *   data - what the printer receives, text - human-readable text (HRI),
+     *   codeSet - CODE128 code set ('B' or 'C')
+     */
+    function encode(value, symbology = 'CODE128') {
+        const type = normalizeSymbology(symbology);
+        const text = String(value);
+
+        if (type === 'EAN13') return encodeEAN13(text);
+        if (type === 'CODE39') return encodeCODE39(text);
+        return encodeCODE128(text);
+    }
+
+    /**
+     * Normalize a symbology name ('EAN-13' → 'EAN13'); unknown names fall back to CODE128
+     * @param {string} symbology - Symbology name
+     * @returns {string} CODE128, EAN13 or CODE39
+     */
+    function normalizeSymbology(symbology) {
+        const type = String(symbology || 'CODE128').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return SYMBOLOGIES.includes(type) ? type : 'CODE128';
+    }
+
+    function encodeCODE128(text) {
+        const values = [];
+        let codeSet;
+
+        if (/^(\d\d){2,}$/.test(text)) {
+            // Code set C packs digit pairs into one symbol
+            codeSet = 'C';
+            values.push(CODE128_START_C);
+            for (let i = 0; i < text.length; i += 2) {
+                values.push(parseInt(text.substring(i, i + 2), 10));
+            }
+        } else {
+            codeSet = 'B';
+            values.push(CODE128_START_B);
+            for (const char of text) {
+                const code = char.charCodeAt(0);
+                if (code < 32 || code > 126) {
+                    throw new Error(`CODE128 can't encode character: ${char}`);
+                }
+                values.push(code - 32);
+            }
+        }
+
+        const checksum = values.reduce((sum, symbolValue, index) => sum + symbolValue * Math.max(index, 1), 0) % 103;
+        values.push(checksum, CODE128_STOP);
+
+        const modules = [];
+        values.forEach(symbolValue => {
+            Array.from(CODE128_PATTERNS[symbolValue]).forEach((width, index) => {
+                for (let i = 0; i < Number(width); i++) modules.push(index % 2 === 0);
+            });
+        });
+
+        return { symbology: 'CODE128', data: text, text, modules, codeSet };
+    }
+
+    function encodeEAN13(text) {
+        if (!/^\d{12,13}$/.test(text)) {
+            throw new Error(`EAN-13 needs 12 or 13 digits: ${text}`);
+        }
+
+        const digits = Array.from(text.substring(0, 12), Number);
+        const sum = digits.reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 1 : 3), 0);
+        const checkDigit = (10 - sum % 10) % 10;
+        if (text.length === 13 && Number(text[12]) !== checkDigit) {
+            throw new Error(`EAN-13 check digit should be ${checkDigit}: ${text}`);
+        }
+        digits.push(checkDigit);
+
+        const parity = EAN_PARITY[digits[0]];
+        let bits = '101';
+        for (let i = 1; i <= 6; i++) {
+            bits += parity[i - 1] === 'L' ? EAN_L[digits[i]] : EAN_G[digits[i]];
+        }
+        bits += '01010';
+        for (let i = 7; i <= 12; i++) {
+            bits += EAN_R[digits[i]];
+        }
+        bits += '101';
+
+        return {
+            symbology: 'EAN13',
+            data: digits.slice(0, 12).join(''),
+            text: digits.join(''),
+            modules: Array.from(bits, bit => bit === '1')
+        };
+    }
+
+    function encodeCODE39(text) {
+        const data = text.toUpperCase();
+        const modules = [];
+
+        Array.from(`*${data}*`).forEach((char, index) => {
+            const pattern = CODE39_PATTERNS[char];
+            if (!pattern || (char === '*' && index !== 0 && index !== data.length + 1)) {
+                throw new Error(`CODE39 can't encode character: ${char}`);
+            }
+            if (index > 0) modules.push(false); // Narrow gap between characters
+            Array.from(pattern).forEach((element, elementIndex) => {
+                const width = element === 'w' ? CODE39_WIDE : 1;
+                for (let i = 0; i < width; i++) modules.push(elementIndex % 2 === 0);
+            });
+        });
+
+        return { symbology: 'CODE39', data, text: `*${data}*`, modules };
+    }
+
+    // Public API
+    return {
+        encode,
+        normalizeSymbology
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarcodeEncoder;
+}
@@ -0,0 +1,265 @@
+/**
+ * Calculation Tape - Evaluates calculation_steps the way the calculator keyed them
+ * Works out the running value of each step, formats the operands for printing
+ * and checks the results the tape shows (=, %, GT, M+, M-) against the
+ * evaluated value
+ *
+ * Usage:
+ *   const tape = CalculationTape.evaluate(data.calculation_steps);
+ *   tape.result            // 1040
+ *   tape.steps[0].operand  // "99,99,999.90"
+ *   CalculationTape.evaluate(steps, { verify: false }) // don't throw on wrong results
+ *   CalculationTape.checkSteps(steps).errors          // steps that can't be evaluated
+ *
+ * Calculator semantics:
+ *   x, ÷       - multiply or divide the current term ("100 x 2 + 50 x 3" is 350)
+ *   +, -       - start a new term added to or taken from the running value
+ *   10%        - percent operand: "+ 10%" / "- 10%" add or take off 10% of the
+ *                running value, "x 10%" multiplies by 0.1
+ *   %          - percent key: turns the last operand into a percentage of the
+ *                value before it (200 x 15 % → 30, 1000 - 10 % → 900)
+ *   =          - result; adds it to the grand total
+ *   GT         - recalls the grand total of all = and % results so far
+ *   M+, M-     - result added to / taken from memory
+ *   MR, MC     - recall / clear memory
+ * The first step's operator is only an entry (a "-" makes it negative), and a
+ * step without an operator starts a new calculation. After a result, x, ÷, +
+ * and - carry on from it.
+ * Steps are { operator, operand }; operands may carry ₹, commas and a trailing %.
+ */
+
+const CalculationTape = (() => {
+    const OPERATORS = {
+        'x': 'x', 'X': 'x', '×': 'x', '*': 'x',
+        '÷': '÷', '/': '÷',
+        '+': '+',
+        '-': '-', '−': '-',
+        '%': '%', '=': '=',
+        'GT': 'GT', 'M+': 'M+', 'M-': 'M-', 'MR': 'MR', 'MC': 'MC'
+    };
+    // Keys that print a result the tape can be checked against
+    const RESULT_KEYS = ['%', '=', 'GT', 'M+', 'M-', 'MR'];
+
+    /**
+     * Evaluate calculation steps
+     * @param {Array<object>} steps - Steps with operator and operand
+     * @param {object} options - { verify } (default true): throw when a shown result is wrong
+     * @returns {object} { steps, result, grandTotal, memory }
+     *   steps are { operator, operand, value, isFinal }: operand formatted for
+     *   printing (results as ₹ amounts), value the running value after the step
+     * @throws {Error} When a step can't be evaluated, or (with verify) a shown
+     *   result doesn't match the evaluated value
+     */
+    function evaluate(steps, options = {}) {
+        const verify = options.verify !== false;
+        const layout = getLayout();
+        const state = { total: 0, term: 0, started: false, last: null, grandTotal: 0, memory: 0 };
+
+        const evaluated = (steps || []).map((step, index) => {
+            const operator = normalizeOperator(step.operator, index);
+            const operand = parseOperand(step.operand);
+
+            if (RESULT_KEYS.includes(operator) || operator === 'MC') {
+                const result = applyKey(state, operator, operand, index);
+                if (verify && operator !== 'MC' && operand && toPaise(operand.number) !== toPaise(result)) {
+                    throw new Error(`Calculation step ${index + 1} (${operator}) shows ${String(step.operand).trim()}, but the steps come to ${layout.formatCurrency(round(result))}`);
+                }
+                return {
+                    operator,
+                    operand: operator === 'MC' ? '' : layout.formatCurrency(round(result)),
+                    value: round(result),
+                    isFinal: operator !== 'MR' && operator !== 'MC'
+                };
+            }
+
+            if (!operand) {
+                throw new Error(`Calculation step ${index + 1} (${operator}) has no number: "${step.operand ?? ''}"`);
+            }
+            applyOperation(state, operator, operand, index);
+            return {
+                operator,
+                operand: layout.formatIndianNumber(round(operand.number)) + (operand.percent ? '%' : ''),
+                value: round(state.total + state.term),
+                isFinal: false
+            };
+        });
+
+        return {
+            steps: evaluated,
+            result: round(state.total + state.term),
+            grandTotal: round(state.grandTotal),
+            memory: round(state.memory)
+        };
+    }
+
+    /**
+     * Find the steps evaluate can't read: unknown operators and number keys
+     * (entry, x, ÷, +, -) without a number. Unlike evaluate, reports them all.
+     * @param {Array<object>} steps - Steps with operator and operand
+     * @returns {object} { valid, errors: [{ step, message }] } - step is the index in steps
+     */
+    function checkSteps(steps) {
+        const errors = [];
+        (steps || []).forEach((step, index) => {
+            let operator;
+            try {
+                operator = normalizeOperator(step.operator, index);
+            } catch (error) {
+                errors.push({ step: index, message: error.message });
+                return;
+            }
+            if (!RESULT_KEYS.includes(operator) && operator !== 'MC' && !parseOperand(step.operand)) {
+                errors.push({ step: index, message: `Calculation step ${index + 1} (${operator}) has no number: "${step.operand ?? ''}"` });
+            }
+        });
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * x, ÷, + and - with a number
+     */
+    function applyOperation(state, operator, operand, index) {
+        const { number, percent } = operand;
+        const before = { total: state.total, term: state.term };
+
+        if (!state.started || operator === '') {
+            startWith(state, operator === '-' ? -number : number);
+            return;
+        }
+
+        if (operator === 'x') {
+            state.term *= percent ? number / 100 : number;
+        } else if (operator === '÷') {
+            if (number === 0) {
+                throw new Error(`Calculation step ${index + 1} divides by zero`);
+            }
+            state.term /= percent ? number / 100 : number;
+        } else {
+            const sign = operator === '-' ? -1 : 1;
+            const amount = percent ? (state.total + state.term) * number / 100 : number;
+            state.total += state.term;
+            state.term = sign * amount;
+        }
+        state.last = { operator, number, before };
+    }
+
+    /**
+     * Result and memory keys; returns the value the key shows
+     */
+    function applyKey(state, operator, operand, index) {
+        switch (operator) {
+            case '%':
+                applyPercentKey(state);
+                return finish(state, true);
+            case '=':
+                return finish(state, true);
+            case 'GT':
+                return startWith(state, state.grandTotal);
+            case 'M+':
+                state.memory += finish(state, false);
+                return state.term;
+            case 'M-':
+                state.memory -= finish(state, false);
+                return state.term;
+            case 'MR':
+                return startWith(state, state.memory);
+            case 'MC':
+                state.memory = 0;
+                return state.total + state.term;
+            default:
+                throw new Error(`Calculation step ${index + 1} has an unknown operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Percent key: redo the last operation with its operand as a percentage
+     */
+    function applyPercentKey(state) {
+        const last = state.last;
+        if (!last) {
+            state.term /= 100;
+            return;
+        }
+        const { total, term } = last.before;
+        if (last.operator === 'x') {
+            state.total = total;
+            state.term = term * last.number / 100;
+        } else if (last.operator === '÷') {
+            state.total = total;
+            state.term = term / last.number * 100;
+        } else {
+            state.total = total + term;
+            state.term = (last.operator === '-' ? -1 : 1) * (total + term) * last.number / 100;
+        }
+    }
+
+    /**
+     * Close the running calculation; the result carries on as the next entry
+     */
+    function finish(state, addToGrandTotal) {
+        const result = state.total + state.term;
+        if (addToGrandTotal) {
+            state.grandTotal += result;
+        }
+        return startWith(state, result);
+    }
+
+    function startWith(state, value) {
+        state.total = 0;
+        state.term = value;
+        state.started = true;
+        state.last = null;
+        return value;
+    }
+
+    function normalizeOperator(operator, index) {
+        const key = String(operator ?? '').trim();
+        if (key === '') return '';
+        const normalized = OPERATORS[key] || OPERATORS[key.toUpperCase()];
+        if (!normalized) {
+            throw new Error(`Calculation step ${index + 1} has an unknown operator: ${key || '(none)'}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Parse an operand ("₹1,040.00", "99,99,999.90", "10%", 2)
+     * @returns {object|null} { number, percent }, or null when there's no number
+     */
+    function parseOperand(operand) {
+        if (operand === undefined || operand === null) return null;
+        const text = String(operand).replace(/₹|Rs\.?|,|\s/g, '');
+        const percent = text.endsWith('%');
+        const number = Number(percent ? text.slice(0, -1) : text);
+        if (text === '' || text === '%' || !isFinite(number)) return null;
+        return { number, percent };
+    }
+
+    function round(value) {
+        return toPaise(value) / 100;
+    }
+
+    function toPaise(value) {
+        return getTotals().toPaise(value);
+    }
+
+    function getLayout() {
+        return typeof ReceiptLayout !== 'undefined' ? ReceiptLayout : require('./receipt-layout.js');
+    }
+
+    function getTotals() {
+        return typeof ReceiptTotals !== 'undefined' ? ReceiptTotals : require('./receipt-totals.js');
+    }
+
+    // Public API
+    return {
+        evaluate,
+        checkSteps,
+        parseOperand
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalculationTape;
+}
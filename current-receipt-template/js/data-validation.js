@@ -0,0 +1,97 @@
+/**
+ * Data Validation - Checks render data against data/variables-schema.json
+ * Required fields, GSTIN/phone/HSN patterns, enums (payment_type,
+ * transaction_type, ...) and number ranges, checked with the JSON Schema
+ * validator in template-schema.js. Empty strings, nulls and undefined values
+ * count as missing, as they do on the receipt (where they print as N/A or
+ * nothing).
+ *
+ * Usage:
+ *   const result = DataValidation.validateData(data, schema);
+ *   result.valid    // false
+ *   result.errors   // [{ field, message }]
+ *   result.errors[0].message // 'gstin is required'
+ *
+ * Render modes (options.validation on layoutTemplate and every renderer):
+ *   'strict'  - invalid data throws, so nothing is rendered or printed
+ *   'lenient' - the receipt is rendered; the problems are warned about and
+ *               returned as the layout model's warnings
+ * Without options.validation the data isn't checked. options.schema is the
+ * variables schema; in Node it defaults to data/variables-schema.json.
+ */
+
+const DataValidation = (() => {
+    const MODES = ['strict', 'lenient'];
+
+    /**
+     * Validate data against the variables schema
+     * @param {object} data - Data object
+     * @param {object} schema - Variables schema (JSON); in Node defaults to data/variables-schema.json
+     * @returns {object} { valid, errors } - errors are { field, message }; field
+     *   is the data path (e.g. 'items[2].qty')
+     * @throws {Error} When there's no schema to validate against
+     */
+    function validateData(data, schema) {
+        const result = getTemplateSchema().validateAgainst(withoutEmptyValues(data), schema || getDefaultSchema());
+        return {
+            valid: result.valid,
+            errors: result.errors.map(({ path, message }) => ({ field: path || null, message }))
+        };
+    }
+
+    /**
+     * Check data for a render in options.validation mode
+     * @param {object} data - Data object
+     * @param {object} options - { validation: 'strict' | 'lenient', schema }
+     * @returns {Array<string>} Warnings (lenient mode); empty when not validating
+     * @throws {Error} In strict mode when the data is invalid, or for an unknown mode
+     */
+    function checkForRender(data, options = {}) {
+        const mode = options.validation;
+        if (!mode) return [];
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown validation mode: ${mode} (use 'strict' or 'lenient')`);
+        }
+
+        const messages = validateData(data, options.schema).errors.map(error => error.message);
+        if (mode === 'strict' && messages.length > 0) {
+            throw new Error(`Data validation failed: ${messages.join('; ')}`);
+        }
+        messages.forEach(message => console.warn(`Data validation: ${message}`));
+        return messages;
+    }
+
+    /**
+     * Copy of the data without '', null and undefined values, so required
+     * fields left empty are reported as missing and empty optional fields pass
+     */
+    function withoutEmptyValues(value) {
+        if (Array.isArray(value)) return value.map(withoutEmptyValues);
+        if (value === null || typeof value !== 'object') return value;
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, field]) => field !== '' && field !== null && field !== undefined)
+            .map(([key, field]) => [key, withoutEmptyValues(field)]));
+    }
+
+    function getDefaultSchema() {
+        if (typeof require === 'undefined') {
+            throw new Error('No variables schema to validate against: pass one (data/variables-schema.json)');
+        }
+        return require('../data/variables-schema.json');
+    }
+
+    function getTemplateSchema() {
+        return typeof TemplateSchema !== 'undefined' ? TemplateSchema : require('./template-schema.js');
+    }
+
+    // Public API
+    return {
+        validateData,
+        checkForRender
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataValidation;
+}
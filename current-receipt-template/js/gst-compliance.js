@@ -0,0 +1,243 @@
+/**
+ * GST Compliance - Tax-invoice checks for a template and its data together
+ * Checks what a GST tax invoice must carry (seller GSTIN, invoice number,
+ * date, place of supply, tax breakup) against what the template would
+ * actually print for this data. Uses the shared layout core (receipt-layout.js)
+ * and totals module (receipt-totals.js)
+ *
+ * Usage:
+ *   const result = GSTCompliance.check(template, data);
+ *   result.errors   // [{ code, field, message, element }] - must be fixed before printing
+ *   result.warnings // [{ code, field, message, element }] - worth a look
+ *
+ * A bill is a tax invoice when receipt_template.tax_invoice is true or
+ * data.invoice_type is 'tax_invoice' (see isTaxInvoice); check() runs the
+ * checks either way
+ */
+
+const GSTCompliance = (() => {
+    // Same pattern as gstin in data/variables-schema.json
+    const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+    const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    // State codes 01-38, plus 97 (other territory) and 99 (centre jurisdiction)
+    const MAX_STATE_CODE = 38;
+    const SPECIAL_STATE_CODES = ['97', '99'];
+    // Rule 46: at most 16 characters, letters, digits, '-' and '/'
+    const INVOICE_NUMBER_MAX = 16;
+    const INVOICE_NUMBER_PATTERN = /^[A-Za-z0-9/-]+$/;
+
+    /**
+     * Check a template + data pair for GST tax-invoice compliance
+     * @param {object} template - Receipt template JSON
+     * @param {object} data - Data object
+     * @returns {object} { valid, errors, warnings }
+     *   issues are { code, field, message, element } (element is the template
+     *   element index when the issue is about one element, otherwise null)
+     */
+    function check(template, data) {
+        const errors = [];
+        const warnings = [];
+        const issue = (list, code, field, message, element = null) => list.push({ code, field, message, element });
+        const elements = getShownElements(template, data,
+            (index, message) => issue(errors, 'CONDITION_INVALID', 'when', `elements[${index}]: ${message}`, index));
+
+        // Seller GSTIN
+        const gstin = String(data.gstin || '').trim().toUpperCase();
+        const gstinElement = findPrinting(elements, 'gstin');
+        const gstinAt = gstinElement !== -1 ? gstinElement : null;
+        if (!gstin) {
+            issue(errors, 'GSTIN_MISSING', 'gstin', 'Seller GSTIN is required on a tax invoice');
+        } else if (!GSTIN_PATTERN.test(gstin)) {
+            issue(errors, 'GSTIN_INVALID', 'gstin', `GSTIN "${gstin}" doesn't match the GSTIN format (e.g. 29ABCDE1234F1Z5)`, gstinAt);
+        } else {
+            if (!isValidStateCode(gstin.substring(0, 2))) {
+                issue(errors, 'GSTIN_STATE', 'gstin', `GSTIN state code ${gstin.substring(0, 2)} is not a valid state code`, gstinAt);
+            }
+            if (getGSTINCheckDigit(gstin) !== gstin[14]) {
+                issue(warnings, 'GSTIN_CHECK_DIGIT', 'gstin', `GSTIN check digit should be ${getGSTINCheckDigit(gstin)}, not ${gstin[14]}`, gstinAt);
+            }
+        }
+        if (gstin && gstinElement === -1) {
+            issue(errors, 'GSTIN_NOT_PRINTED', 'gstin', 'No element prints ${gstin}');
+        }
+
+        // Invoice number and date
+        const invoiceNumber = String(data.bill_number || '').trim();
+        if (!invoiceNumber) {
+            issue(errors, 'INVOICE_NUMBER_MISSING', 'bill_number', 'Invoice number (bill_number) is required');
+        } else {
+            if (invoiceNumber.length > INVOICE_NUMBER_MAX) {
+                issue(errors, 'INVOICE_NUMBER_LENGTH', 'bill_number', `Invoice number "${invoiceNumber}" is ${invoiceNumber.length} characters, at most ${INVOICE_NUMBER_MAX} allowed`);
+            }
+            if (!INVOICE_NUMBER_PATTERN.test(invoiceNumber)) {
+                issue(errors, 'INVOICE_NUMBER_CHARACTERS', 'bill_number', `Invoice number "${invoiceNumber}" may only use letters, digits, '-' and '/'`);
+            }
+        }
+        if (findPrinting(elements, 'bill_number', ['bill_date_row']) === -1) {
+            issue(errors, 'INVOICE_NUMBER_NOT_PRINTED', 'bill_number', 'No element prints the invoice number (bill_date_row or ${bill_number})');
+        }
+
+        const date = new Date(data.bill_date);
+        if (!data.bill_date) {
+            issue(errors, 'DATE_MISSING', 'bill_date', 'Invoice date (bill_date) is required');
+        } else if (isNaN(date.getTime())) {
+            issue(errors, 'DATE_INVALID', 'bill_date', `Invoice date "${data.bill_date}" is not a valid date`);
+        } else if (date.getTime() > Date.now()) {
+            issue(warnings, 'DATE_FUTURE', 'bill_date', 'Invoice date is in the future');
+        }
+        if (findPrinting(elements, 'bill_date', ['bill_date_row']) === -1) {
+            issue(errors, 'DATE_NOT_PRINTED', 'bill_date', 'No element prints the invoice date (bill_date_row or ${bill_date})');
+        }
+
+        // Place of supply, and IGST vs CGST + SGST
+        const placeOfSupply = String(data.place_of_supply || '').trim();
+        const supplyState = getStateCode(placeOfSupply);
+        if (!placeOfSupply) {
+            issue(errors, 'PLACE_OF_SUPPLY_MISSING', 'place_of_supply', 'Place of supply is required');
+        } else {
+            if (findPrinting(elements, 'place_of_supply') === -1) {
+                issue(errors, 'PLACE_OF_SUPPLY_NOT_PRINTED', 'place_of_supply', 'No element prints ${place_of_supply}');
+            }
+            if (!supplyState) {
+                issue(warnings, 'PLACE_OF_SUPPLY_STATE_CODE', 'place_of_supply', `Place of supply "${placeOfSupply}" has no state code (e.g. "29-Karnataka")`);
+            } else if (!isValidStateCode(supplyState)) {
+                issue(errors, 'PLACE_OF_SUPPLY_STATE_CODE', 'place_of_supply', `Place of supply state code ${supplyState} is not a valid state code`);
+            }
+        }
+
+        const tax = data.tax || {};
+        const amountOf = (key) => Number(tax[key]?.amount || 0);
+        if (GSTIN_PATTERN.test(gstin) && supplyState) {
+            const interState = supplyState !== gstin.substring(0, 2);
+            if (interState && (amountOf('cgst') > 0 || amountOf('sgst') > 0)) {
+                issue(errors, 'TAX_TYPE', 'tax', `Supply to state ${supplyState} from state ${gstin.substring(0, 2)} is inter-state: charge IGST, not CGST/SGST`);
+            } else if (!interState && amountOf('igst') > 0) {
+                issue(errors, 'TAX_TYPE', 'tax', `Supply within state ${supplyState} is intra-state: charge CGST + SGST, not IGST`);
+            }
+            if (data.inter_state !== undefined && data.inter_state !== interState) {
+                issue(warnings, 'INTER_STATE_FLAG', 'inter_state', `inter_state is ${data.inter_state} but place of supply makes the bill ${interState ? 'inter' : 'intra'}-state`);
+            }
+        }
+
+        // Tax breakup, required whenever the GSTIN is shown
+        if (gstinElement !== -1) {
+            const totalsElement = findType(elements, 'total_amount_row');
+            const summaryElement = findType(elements, 'tax_summary');
+            if (totalsElement === -1 && summaryElement === -1) {
+                issue(errors, 'TAX_BREAKUP_MISSING', 'tax', 'GSTIN is printed but no total_amount_row or tax_summary prints the tax breakup');
+            } else if (summaryElement === -1 && getRates(data).length > 1) {
+                issue(warnings, 'TAX_BREAKUP_RATES', 'tax', 'Items have different GST rates; add a tax_summary to print tax per rate', totalsElement);
+            }
+            if (amountOf('cgst') + amountOf('sgst') + amountOf('igst') === 0 && summaryElement === -1) {
+                issue(warnings, 'TAX_AMOUNT_ZERO', 'tax', 'No CGST, SGST or IGST amount to print');
+            }
+        }
+
+        // Other tax-invoice particulars
+        if (!elements.some(({ element }) => /tax\s+invoice/i.test(String(element.value || '')))) {
+            issue(warnings, 'TITLE_MISSING', null, 'No "Tax Invoice" heading is printed');
+        }
+        const missingHSN = (data.items || [])
+            .map((item, index) => (item.hsn ? null : index + 1))
+            .filter(index => index !== null);
+        if (missingHSN.length > 0) {
+            issue(warnings, 'HSN_MISSING', 'items', `HSN/SAC code missing for item${missingHSN.length > 1 ? 's' : ''} ${missingHSN.join(', ')}`);
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Whether the template or data marks the bill as a tax invoice
+     */
+    function isTaxInvoice(template, data) {
+        return template?.receipt_template?.tax_invoice === true || String(data?.invoice_type || '').toLowerCase() === 'tax_invoice';
+    }
+
+    /**
+     * GSTIN check digit (15th character) for the first 14 characters
+     * @param {string} gstin - GSTIN
+     * @returns {string} Check character
+     */
+    function getGSTINCheckDigit(gstin) {
+        const total = Array.from(gstin.substring(0, 14)).reduce((sum, char, index) => {
+            const product = GSTIN_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+            return sum + Math.floor(product / 36) + (product % 36);
+        }, 0);
+        return GSTIN_CHARSET[(36 - (total % 36)) % 36];
+    }
+
+    /**
+     * State code in a place of supply: "29", "29-Karnataka", "Karnataka (29)"
+     */
+    function getStateCode(placeOfSupply) {
+        const match = /(?:^|\D)(\d{2})(?:\D|$)/.exec(placeOfSupply);
+        return match ? match[1] : null;
+    }
+
+    function isValidStateCode(code) {
+        const number = parseInt(code, 10);
+        return (number >= 1 && number <= MAX_STATE_CODE) || SPECIAL_STATE_CODES.includes(code);
+    }
+
+    /**
+     * Template elements that print for this data (their `when` holds), with their indexes
+     * An element whose condition can't be evaluated is left out and passed to
+     * onInvalid(index, message), as rendering the template would throw
+     */
+    function getShownElements(template, data, onInvalid) {
+        const layout = getLayout();
+        return (template?.receipt_template?.elements || [])
+            .map((element, index) => ({ element, index }))
+            .filter(({ element, index }) => {
+                if (element.when === undefined) return true;
+                try {
+                    return layout.evaluateCondition(element.when, data);
+                } catch (error) {
+                    onInvalid(index, error.message);
+                    return false;
+                }
+            });
+    }
+
+    /**
+     * Index of the first shown element that prints a field, by type or by a ${field} in its value
+     */
+    function findPrinting(elements, field, types = []) {
+        const variable = new RegExp(`\\$\\{\\s*${field}\\s*[|}]`);
+        const found = elements.find(({ element }) => types.includes(element.type) ||
+            (typeof element.value === 'string' && variable.test(element.value)));
+        return found ? found.index : -1;
+    }
+
+    function findType(elements, type) {
+        const found = elements.find(({ element }) => element.type === type);
+        return found ? found.index : -1;
+    }
+
+    function getRates(data) {
+        return getTotals().summarizeTax(data).groups
+            .map(group => group.rate)
+            .filter((rate, index, rates) => rates.indexOf(rate) === index);
+    }
+
+    function getLayout() {
+        return typeof ReceiptLayout !== 'undefined' ? ReceiptLayout : require('./receipt-layout.js');
+    }
+
+    function getTotals() {
+        return typeof ReceiptTotals !== 'undefined' ? ReceiptTotals : require('./receipt-totals.js');
+    }
+
+    // Public API
+    return {
+        check,
+        isTaxInvoice,
+        getGSTINCheckDigit
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GSTCompliance;
+}
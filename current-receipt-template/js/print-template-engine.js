@@ -1,29 +1,56 @@
 /**
  * Print Template Engine - Handles receipt template processing for print format
  * Compatible with ${variable} syntax and flat data structure
+ * Renders HTML and plain text from the shared layout core (receipt-layout.js)
+ * and validates templates and data with template-schema.js and
+ * data-validation.js. In the browser load those first; in Node.js they are
+ * required as needed:
+ *
+ *   const PrintTemplateEngine = require('./js/print-template-engine.js');
+ *   import PrintTemplateEngine from './js/print-template-engine.mjs';
+ *
+ * Rendering needs no DOM. Sample data, the variables schema and templates are
+ * read with fetch in the browser and from this directory in Node.js; setLoaders
+ * replaces any of them (a database, an API, test fixtures).
  */
 
-// eslint-disable-next-line no-unused-vars
 const PrintTemplateEngine = (() => {
+    const receiptLayout = typeof ReceiptLayout !== 'undefined' ? ReceiptLayout : require('./receipt-layout.js');
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
     let sampleData = null;
+    let dataSchema = null;
+
+    // Where loadSampleData, loadDataSchema and loadTemplate get their JSON (see setLoaders)
+    const loaders = {
+        data: () => readJSON('data/variables-example.json'),
+        schema: () => readJSON('data/variables-schema.json'),
+        template: name => readJSON(`templates/${name.endsWith('.json') ? name : `${name}.json`}`)
+    };
+
+    /**
+     * Replace how data, the variables schema or templates are loaded
+     * @param {object} overrides - Any of { data, schema, template }: functions
+     *   returning the JSON (or a promise of it); template gets the template name
+     */
+    function setLoaders(overrides = {}) {
+        Object.entries(overrides).forEach(([name, loader]) => {
+            if (!(name in loaders)) {
+                throw new Error(`Unknown loader: ${name} (use data, schema or template)`);
+            }
+            if (typeof loader !== 'function') {
+                throw new Error(`The ${name} loader must be a function`);
+            }
+            loaders[name] = loader;
+        });
+    }
 
     /**
      * Load sample data from JSON file or use default
      */
     async function loadSampleData() {
         try {
-            const dataUrl = 'data/variables-example.json?t=' + Date.now() + '&_=' + Math.random();
-            console.log('Loading sample data from:', dataUrl);
-            const response = await fetch(dataUrl, {
-                cache: 'no-store',
-                headers: {
-                    'Cache-Control': 'no-cache, no-store, must-revalidate',
-                    'Pragma': 'no-cache',
-                    'Expires': '0'
-                }
-            });
-            sampleData = await response.json();
-            console.log('Sample data loaded:', sampleData);
+            sampleData = await loaders.data();
         } catch (error) {
             console.error('Error loading sample data:', error);
             sampleData = getDefaultSampleData();
@@ -31,6 +58,54 @@ const PrintTemplateEngine = (() => {
         return sampleData;
     }
 
+    /**
+     * Load the variables schema (data/variables-schema.json) that validateData
+     * and the strict/lenient render modes check data against
+     * @returns {object|null} The schema, or null when it couldn't be loaded
+     */
+    async function loadDataSchema() {
+        try {
+            dataSchema = await loaders.schema();
+        } catch (error) {
+            console.error('Error loading variables schema:', error);
+            dataSchema = null;
+        }
+        return dataSchema;
+    }
+
+    /**
+     * Load a template by name
+     * @param {string} name - Template name, e.g. 'print_bill_3inch_template'
+     * @returns {Promise<object>} Template JSON
+     */
+    async function loadTemplate(name) {
+        return loaders.template(name);
+    }
+
+    /**
+     * Read a JSON file of this directory: fetch (uncached) in the browser,
+     * the file system in Node.js
+     */
+    async function readJSON(path) {
+        if (typeof window === 'undefined' && typeof require !== 'undefined') {
+            const fs = require('fs');
+            return JSON.parse(await fs.promises.readFile(require('path').join(__dirname, '..', path), 'utf8'));
+        }
+
+        const response = await fetch(`${path}?t=${Date.now()}&_=${Math.random()}`, {
+            cache: 'no-store',
+            headers: {
+                'Cache-Control': 'no-cache, no-store, must-revalidate',
+                'Pragma': 'no-cache',
+                'Expires': '0'
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${path}: ${response.statusText}`);
+        }
+        return response.json();
+    }
+
     /**
      * Get default sample data
      */
@@ -42,8 +117,9 @@ const PrintTemplateEngine = (() => {
             phone_number: "+9876543210",
             customer_name: "John Doe",
             customer_mobile: "+91-9876543210",
+            place_of_supply: "29-Karnataka",
             qr_data: "upi://pay?pa=merchant@upi&pn=Tohands%20Store&am=1040.00&cu=INR",
-            bill_date: "2025-01-15T14:30:00Z",
+            bill_date: "2025-01-15T14:30:00+05:30",
             bill_number: "BILL-2025-001",
             transaction_type: "Sale",
             payment_type: "UPI",
@@ -73,7 +149,12 @@ const PrintTemplateEngine = (() => {
                 sgst: { rate: 9, amount: 45.00 },
                 igst: { rate: 0, amount: 0.00 }
             },
+            round_off: 0.00,
             total: 1040.00,
+            amount_tendered: 1100.00,
+            previous_balance: 2500.00,
+            amount_paid: 1000.00,
+            due_date: "2025-02-15",
             calculation_steps: [
                 {
                     operator: 'x',
@@ -104,135 +185,24 @@ const PrintTemplateEngine = (() => {
         };
     }
 
-    /**
-     * Replace variables in template with data (${variable} syntax)
-     * @param {string} text - Text with ${variables}
-     * @param {object} data - Data object
-     * @returns {string} Text with replaced values
-     */
-    function replaceVariables(text, data) {
-        if (!text || typeof text !== 'string') return text;
-
-        return text.replace(/\$\{([^}]+)\}/g, (match, varName) => {
-            const value = data[varName.trim()];
-            return value !== undefined && value !== null ? value : match;
-        });
-    }
-
-    /**
-     * Format date from ISO string to readable format
-     */
-    function formatDate(dateString) {
-        if (!dateString) return '';
-        try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString('en-IN', {
-                day: '2-digit',
-                month: '2-digit',
-                year: 'numeric'
-            });
-        } catch (_e) {
-            return dateString;
-        }
-    }
-
-    /**
-     * Format time from ISO string to readable format (12-hour format with AM/PM)
-     */
-    function formatTime(dateString) {
-        if (!dateString) return '';
-        try {
-            const date = new Date(dateString);
-            const hours = date.getHours();
-            const minutes = date.getMinutes();
-            const seconds = date.getSeconds();
-            
-            // Convert to 12-hour format
-            const hours12 = hours % 12 || 12;
-            const ampm = hours >= 12 ? 'PM' : 'AM';
-            
-            // Format as HH:MM:SS AM/PM
-            const formattedTime = `${String(hours12).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')} ${ampm}`;
-            
-            return formattedTime;
-        } catch (_e) {
-            return dateString;
-        }
-    }
-
-    /**
-     * Format currency value
-     */
-    function formatCurrency(value) {
-        if (typeof value !== 'number') value = parseFloat(value) || 0;
-        return '₹' + value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-    }
-
-    /**
-     * Format number without currency symbol, with max character limit
-     * @param {number} value - Numeric value
-     * @param {number} maxLength - Maximum character length (including decimal)
-     * @returns {string} Formatted number string
-     */
-    function formatNumberLimited(value, maxLength) {
-        if (typeof value !== 'number') value = parseFloat(value) || 0;
-        const formatted = value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-        // Truncate if exceeds max length
-        if (formatted.length > maxLength) {
-            return formatted.substring(0, maxLength);
-        }
-        return formatted;
-    }
-    /**
-     * Format number with Indian numbering system (commas)
-     */
-    function formatIndianNumber(value) {
-        if (typeof value !== 'number') value = parseFloat(value) || 0;
-        // Indian numbering: first 3 digits, then groups of 2
-        const parts = value.toFixed(2).split('.');
-        const integerPart = parts[0];
-        const decimalPart = parts[1] || '00';
-
-        // Format with Indian numbering system
-        let formatted = '';
-        const len = integerPart.length;
-
-        if (len <= 3) {
-            formatted = integerPart;
-        } else if (len <= 5) {
-            // 4-5 digits: 12,345
-            formatted = integerPart.slice(0, len - 3) + ',' + integerPart.slice(len - 3);
-        } else {
-            // 6+ digits: 12,34,567 or 1,23,45,678
-            formatted = integerPart.slice(0, len - 3);
-            // Add commas for groups of 2 from right
-            for (let i = formatted.length - 2; i > 0; i -= 2) {
-                formatted = formatted.slice(0, i) + ',' + formatted.slice(i);
-            }
-            formatted += ',' + integerPart.slice(len - 3);
-        }
-
-        return formatted + '.' + decimalPart;
-    }
-
     /**
      * Render preview HTML from template
      * @param {object} template - Template JSON
      * @param {object} data - Sample data
+     * @param {object} options - { locale } for the built-in labels (see ReceiptLocales);
+     *   { validation: 'strict' | 'lenient', schema } to check the data first (see DataValidation);
+     *   { onWarning(message) } to receive the lenient-validation and element warnings
      * @returns {string} HTML string
+     * @throws {Error} In strict validation when the data doesn't match the schema
      */
-    function renderPreview(template, data = null) {
+    function renderPreview(template, data = null, options = {}) {
         if (!data) data = sampleData || getDefaultSampleData();
         if (!template || !template.receipt_template || !template.receipt_template.elements) {
             return '<div class="receipt-empty">No template elements to preview</div>';
         }
 
-        const characterWidth = template.receipt_template.characterWidth || 32;
-
-        let html = '';
-        template.receipt_template.elements.forEach(element => {
-            html += renderElement(element, data, characterWidth);
-        });
+        const layout = receiptLayout.layoutTemplate(template, data, withDataSchema(options));
+        const html = layout.blocks.map(renderBlock).join('');
 
         return html || '<div class="receipt-empty">Empty template</div>';
     }
@@ -242,450 +212,163 @@ const PrintTemplateEngine = (() => {
      * @param {object} element - Element object
      * @param {object} data - Sample data
      * @param {number} characterWidth - Character width for formatting
+     * @param {object} options - { locale, date_format, time_format, timezone } (see ReceiptLayout.layoutElement)
      * @returns {string} HTML string
      */
-    function renderElement(element, data, characterWidth) {
-        const renderers = {
-            'text': renderText,
-            'static_text': renderStaticText,
-            'separator': renderSeparator,
-            'newline': renderNewline,
-            'placeholder_block': renderPlaceholderBlock,
-            'bill_date_row': renderBillDateRow,
-            'customer_info_row': renderCustomerInfoRow,
-            'transaction_payment_row': renderTransactionPaymentRow,
-            'transaction_calculation': renderTransactionCalculation,
-            'transaction_calculation_v2': renderTransactionCalculationV2,
-            'item_header_row': renderItemHeaderRow,
-            'bill_items': renderBillItems,
-            'total_qty_items_row': renderTotalQtyItemsRow,
-            'total_amount_row': renderTotalAmountRow,
-            'total_amount_row_simple': renderTotalAmountRowSimple,
-            'footer_message': renderFooterMessage,
-            'qr_code': renderQRCode,
-            'cut_paper': renderCutPaper
-        };
-
-        const renderer = renderers[element.type];
-        return renderer ? renderer(element, data, characterWidth) : '';
+    function renderElement(element, data, characterWidth, options = {}) {
+        return renderBlock(receiptLayout.layoutElement(element, data, characterWidth || 32, options));
     }
 
     /**
-     * Render text element with variables
-     */
-    function renderText(element, data, _characterWidth) {
-        const value = element.value || '';
-        const text = replaceVariables(value, data);
-        const alignment = element.alignment || 'LEFT';
-        const fontSize = element.font_size || 'NORMAL';
-        const fontWeight = element.font_weight || 'NORMAL';
-
-        const alignClass = alignment.toLowerCase();
-        const sizeClass = fontSize.toLowerCase();
-        const weightClass = fontWeight.toLowerCase();
-
-        return `<div class="receipt-text text-${alignClass} font-${sizeClass} font-${weightClass}">${escapeHtml(text)}</div>`;
-    }
-
-    /**
-     * Render static text element (no variables)
+     * Render plain-text receipt from template (fixed-width monospace lines)
+     * Mirrors what the printer lays out in its 32/48 character columns
+     * @param {object} template - Template JSON
+     * @param {object} data - Sample data
+     * @param {object} options - { locale } for the built-in labels; { validation, schema, onWarning } as in renderPreview
+     * @returns {string} Receipt text, one printer line per text line
+     * @throws {Error} In strict validation when the data doesn't match the schema
      */
-    function renderStaticText(element, _data, _characterWidth) {
-        const value = element.value || '';
-        const alignment = element.alignment || 'CENTER';
-        const fontSize = element.font_size || 'NORMAL';
-        const fontWeight = element.font_weight || 'NORMAL';
-
-        const alignClass = alignment.toLowerCase();
-        const sizeClass = fontSize.toLowerCase();
-        const weightClass = fontWeight.toLowerCase();
+    function renderPlainText(template, data = null, options = {}) {
+        if (!data) data = sampleData || getDefaultSampleData();
+        if (!template || !template.receipt_template || !template.receipt_template.elements) {
+            return '';
+        }
 
-        return `<div class="receipt-static-text text-${alignClass} font-${sizeClass} font-${weightClass}">${escapeHtml(value)}</div>`;
+        return receiptLayout.toPlainText(receiptLayout.layoutTemplate(template, data, withDataSchema(options)));
     }
 
     /**
-     * Render separator/dividing line
+     * Render a layout block (one template element) as HTML
+     * @param {object} block - Layout block
+     * @returns {string} HTML string
      */
-    function renderSeparator(_element, _data, _characterWidth) {
-        // Use CSS border instead of text characters for consistent dashed line style
-        return '<div class="receipt-separator"></div>';
+    function renderBlock(block) {
+        if (block.lines.length === 0) return '';
+        return `<div class="${block.className}">${block.lines.map(renderLine).join('')}</div>`;
     }
 
     /**
-     * Render newline
+     * Render a layout line as HTML
+     * Rules and blank lines render nothing: the block's CSS borders and spacing draw them
+     * @param {object} line - Layout line
+     * @returns {string} HTML string
      */
-    function renderNewline(_element, _data, _characterWidth) {
-        return '<div class="receipt-newline"></div>';
+    function renderLine(line) {
+        switch (line.kind) {
+            case 'text':
+                return renderTextLine(line);
+            case 'row':
+                return renderRowLine(line);
+            case 'image':
+                return renderImageLine(line);
+            case 'qr':
+                return renderQRLine(line);
+            case 'barcode':
+                return renderBarcodeLine(line);
+            default:
+                return '';
+        }
     }
 
-    /**
-     * Render placeholder block (for logo/image space above business name)
-     */
-    function renderPlaceholderBlock(element, _data, _characterWidth) {
-        const height = element.height || 90; // Default height in pixels (increased by 50% from 60px)
-        let html = '<div class="receipt-placeholder-block">';
-        html += `<div class="placeholder-box" style="height: ${height}px;">`;
-        html += '<div class="placeholder-text">Logo/Image</div>';
-        html += '</div>';
-        html += '</div>';
-        return html;
+    function renderTextLine(line) {
+        const classes = [
+            'receipt-line',
+            line.className,
+            `text-${line.align.toLowerCase()}`,
+            `font-${line.size.toLowerCase()}`,
+            `font-${line.weight.toLowerCase()}`
+        ];
+        return `<div class="${joinClasses(classes)}">${escapeHtml(line.text)}</div>`;
     }
 
     /**
-     * Render bill date row (Bill No, Date, Time)
+     * Render a row as a grid whose column fractions follow the cell character widths
      */
-    function renderBillDateRow(_element, data, _characterWidth) {
-        const billNumber = data.bill_number || data.billNumber || 'N/A';
-        const billDate = formatDate(data.bill_date || data.billDate);
-        const billTime = formatTime(data.bill_date || data.billDate);
-
-        let html = '<div class="receipt-bill-date-row">';
-        html += `<span>Bill No: ${billNumber}</span>`;
-        html += `<div class="receipt-date-time-row">`;
-        html += `<span class="bill-date">Date: ${billDate}</span>`;
-        html += `<span class="bill-time">Time: ${billTime}</span>`;
-        html += `</div>`;
-        html += '</div>';
-
-        return html;
-    }
+    function renderRowLine(line) {
+        const classes = ['receipt-row', line.className];
+        if (line.size !== 'NORMAL') classes.push(`font-${line.size.toLowerCase()}`);
+        if (line.weight !== 'NORMAL') classes.push(`font-${line.weight.toLowerCase()}`);
 
-    /**
-     * Render customer info row (Customer name and Mobile No)
-     */
-    function renderCustomerInfoRow(_element, data, _characterWidth) {
-        const customerName = data.customer_name || data.customerName || 'N/A';
-        const customerMobile = data.customer_mobile || data.customerMobile || 'N/A';
+        const columns = line.cells.map(cell => `${cell.width}fr`).join(' ');
 
-        let html = '<div class="customer-info">';
-        html += `<div class="receipt-text text-left font-normal font-normal">Customer: ${escapeHtml(customerName)}</div>`;
-        html += `<div class="receipt-text text-left font-normal font-normal">Mobile No: ${escapeHtml(customerMobile)}</div>`;
+        let html = `<div class="${joinClasses(classes)}" style="grid-template-columns: ${columns};">`;
+        line.cells.forEach(cell => {
+            html += `<span class="${joinClasses([cell.className, `text-${cell.align.toLowerCase()}`])}">${escapeHtml(cell.text)}</span>`;
+        });
         html += '</div>';
-
         return html;
     }
 
-    /**
-     * Render transaction and payment row
-     */
-    function renderTransactionPaymentRow(_element, data, _characterWidth) {
-        const transactionType = data.transaction_type || data.transactionType || 'Sale';
-        const paymentType = data.payment_type || data.paymentType || 'Cash';
-        const cashier = data.cashier || 'N/A';
-
-        let html = '<div class="receipt-transaction-payment-row">';
-        html += `<div class="receipt-transaction-info">`;
-        html += `<div class="receipt-type-payment-row">`;
-        html += `<span class="transaction-type">Type: ${transactionType}</span>`;
-        html += `<span class="payment-type">Payment: ${paymentType}</span>`;
-        html += `</div>`;
-        if (cashier !== 'N/A') {
-            html += `<span>Cashier: ${cashier}</span>`;
+    function renderImageLine(line) {
+        if (line.bitmap) {
+            // Same dithered dots the printer gets, one image pixel per dot
+            return `<img class="receipt-logo" src="${getImageCore().bitmapToDataURL(line.bitmap)}" alt="${escapeHtml(line.label)}">`;
         }
-        html += `</div>`;
-        html += '</div>';
 
+        let html = `<div class="placeholder-box" style="height: ${line.height}px;">`;
+        html += `<div class="placeholder-text">${escapeHtml(line.label)}</div>`;
+        html += '</div>';
         return html;
     }
 
-    /**
-     * Render transaction calculation (for transaction receipts)
-     * Format: Multiplication on single line, addition/subtraction on separate lines
-     */
-    function renderTransactionCalculation(element, data, _characterWidth) {
-        const alignment = element.alignment || 'RIGHT';
-        const fontSize = element.font_size || 'NORMAL';
-
-        let html = `<div class="receipt-transaction-calculation text-${alignment.toLowerCase()} font-${fontSize.toLowerCase()}">`;
-        html += '<div class="calculation-items">';
-
-        if (data.items && data.items.length > 0) {
-            // Show multiplication expressions (rate x qty)
-            data.items.forEach((item) => {
-                const rate = item.rate || 0;
-                const qty = item.qty || 0;
-                const formattedRate = formatIndianNumber(rate);
-                const formattedQty = formatIndianNumber(qty);
-                // Multiplication on single line: 99,99,999 x 500
-                html += `<div class="calculation-multiply">${formattedRate} x ${formattedQty}</div>`;
-            });
-
-            // Show discount as subtraction if present
-            const discount = data.discount || 0;
-            if (discount > 0) {
-                const discountType = data.discount_type || data.discountType || 'amount';
-                if (discountType === 'percentage' || discountType === 'percent') {
-                    html += `<div class="calculation-subtract">- ${formatIndianNumber(discount)}%</div>`;
-                } else {
-                    html += `<div class="calculation-subtract">- ${formatIndianNumber(discount)}</div>`;
-                }
-            }
+    function renderQRLine(line) {
+        if (line.bitmap) {
+            // The encoded symbol at the printer's module size, one image pixel per dot
+            return `<img class="receipt-qr" src="${getImageCore().bitmapToDataURL(line.bitmap)}" alt="QR Code" data-qr="${escapeHtml(line.data)}">`;
         }
 
-        html += '</div>';
+        let html = `<div class="qr-placeholder qr-${line.size.toLowerCase()}" data-qr="${escapeHtml(line.data)}">`;
+        html += '<div class="qr-text">QR Code</div>';
         html += '</div>';
         return html;
     }
 
     /**
-     * Render transaction calculation v2 (step-wise calculation)
-     * Format: Each step on a separate row with operator on left and operand on right
-     * Finalizing operations (=, %, GT, M+, M-) have top and bottom borders
+     * Render barcode bars as SVG, sized relative to the paper's dot width
      */
-    function renderTransactionCalculationV2(element, data, _characterWidth) {
-        const alignment = element.alignment || 'RIGHT';
-        const fontSize = element.font_size || 'NORMAL';
-
-        // Get calculation steps from data
-        const calculationSteps = data.calculation_steps || [];
-
-        // If no steps provided, generate from items (backward compatibility)
-        if (calculationSteps.length === 0 && data.items && data.items.length > 0) {
-            // Generate steps from items
-            data.items.forEach((item) => {
-                const rate = item.rate || 0;
-                const qty = item.qty || 0;
-                calculationSteps.push({
-                    operator: 'x',
-                    operand: formatIndianNumber(rate)
-                });
-                calculationSteps.push({
-                    operator: 'x',
-                    operand: formatIndianNumber(qty)
-                });
-            });
-
-            // Add discount if present
-            const discount = data.discount || 0;
-            if (discount > 0) {
-                const discountType = data.discount_type || data.discountType || 'amount';
-                if (discountType === 'percentage' || discountType === 'percent') {
-                    calculationSteps.push({
-                        operator: '-',
-                        operand: formatIndianNumber(discount) + '%'
-                    });
-                } else {
-                    calculationSteps.push({
-                        operator: '-',
-                        operand: formatIndianNumber(discount)
-                    });
-                }
-            }
-
-            // Don't add final result here - it will be shown in total_amount_row_simple
+    function renderBarcodeLine(line) {
+        if (!line.modules) {
+            return `<div class="placeholder-box barcode-placeholder"><div class="placeholder-text">${escapeHtml(`${line.symbology}: ${line.data}`)}</div></div>`;
         }
 
-        // Filter out finalizing operations - they should not be displayed in calculation steps
-        // Finalizing operations: =, %, GT, M+, M-
-        const finalizingOps = ['=', '%', 'GT', 'M+', 'M-'];
-        const displaySteps = calculationSteps.filter(step => {
-            const operator = step.operator || '';
-            const isFinal = step.isFinal === true;
-            return !isFinal && !finalizingOps.includes(operator);
-        });
-
-        let html = `<div class="receipt-transaction-calculation-v2 text-${alignment.toLowerCase()} font-${fontSize.toLowerCase()}">`;
-        html += '<div class="calculation-steps">';
-
-        displaySteps.forEach((step, index) => {
-            const operator = step.operator || '';
-            const operand = step.operand || '';
-
-            html += `<div class="calculation-step">`;
-            // First step doesn't show operator, only operand
-            if (index === 0) {
-                html += `<span class="calculation-operand">${escapeHtml(operand)}</span>`;
-            } else {
-                html += `<span class="calculation-operator">${escapeHtml(operator)}</span>`;
-                html += `<span class="calculation-operand">${escapeHtml(operand)}</span>`;
+        const width = line.modules.length * line.moduleWidth;
+        let path = '';
+        line.modules.forEach((bar, index) => {
+            if (bar && !line.modules[index - 1]) {
+                let run = 1;
+                while (line.modules[index + run]) run++;
+                path += `M${index * line.moduleWidth} 0h${run * line.moduleWidth}v${line.height}h-${run * line.moduleWidth}z`;
             }
-            html += '</div>';
-        });
-
-        html += '</div>';
-        html += '</div>';
-        return html;
-    }
-
-    /**
-     * Render item header row
-     */
-    function renderItemHeaderRow(_element, _data, _characterWidth) {
-        let html = '<div class="receipt-item-header-row">';
-        html += '<div class="item-table">';
-        html += '<div class="item-header-row">';
-        html += '<span class="item-sno">#</span>';
-        html += '<span class="item-name">Item</span>';
-        html += '<span class="item-qty">Qty</span>';
-        html += '<span class="item-price">Price</span>';
-        html += '<span class="item-amount">Amount</span>';
-        html += '</div>';
-        html += '</div>';
-        html += '</div>';
-
-        return html;
-    }
-
-    /**
-     * Render bill items table
-     */
-    function renderBillItems(element, data, _characterWidth) {
-        const items = data.items || [];
-
-        let html = '<div class="receipt-bill-items">';
-        html += '<div class="item-table">';
-
-        items.forEach((item, index) => {
-            const slNo = item.slNo !== undefined ? item.slNo : index + 1;
-            const name = item.name || 'Item';
-            const qty = item.qty || 0;
-            const rate = item.rate || 0;
-            const amount = item.amount || 0;
-
-            html += '<div class="bill-item-row">';
-            html += `<span class="item-sno">${slNo}</span>`;
-            html += `<span class="item-name">${escapeHtml(name)}</span>`;
-            html += `<span class="item-qty">${qty}</span>`;
-            html += `<span class="item-price">${formatNumberLimited(rate, 7)}</span>`;
-            html += `<span class="item-amount">${formatNumberLimited(amount, 8)}</span>`;
-            html += '</div>';
         });
 
-        html += '</div>';
+        const percent = Math.min(100, width / line.paperDots * 100);
+        const hri = `<div class="barcode-hri">${escapeHtml(line.text)}</div>`;
+        let html = `<div class="barcode-symbol text-${line.align.toLowerCase()}" data-barcode="${escapeHtml(line.data)}">`;
+        if (line.hri === 'ABOVE' || line.hri === 'BOTH') html += hri;
+        html += `<svg class="barcode-bars" viewBox="0 0 ${width} ${line.height}" preserveAspectRatio="none" style="width: ${percent}%; aspect-ratio: ${width} / ${line.height};">`;
+        html += `<path d="${path}"/></svg>`;
+        if (line.hri === 'BELOW' || line.hri === 'BOTH') html += hri;
         html += '</div>';
         return html;
     }
 
-    /**
-     * Render total qty and items row
-     */
-    function renderTotalQtyItemsRow(_element, data, _characterWidth) {
-        const items = data.items || [];
-        
-        // Calculate total quantity
-        const totalQty = items.reduce((sum, item) => sum + (item.qty || 0), 0);
-        const totalItems = items.length;
-
-        let html = '<div class="receipt-total-qty-items-row">';
-        html += `<div class="total-row"><span>Total Items: ${totalItems}</span><span>Total Qty: ${totalQty}</span></div>`;
-        html += '</div>';
-
-        return html;
-    }
-
-    /**
-     * Render total amount row
-     */
-    function renderTotalAmountRow(_element, data, _characterWidth) {
-        const subtotal = data.subtotal || 0;
-        const discount = data.discount || 0;
-        const discountType = data.discount_type || data.discountType || 'amount'; // 'amount' or 'percentage'
-        const tax = data.tax || {};
-        const total = data.total || 0;
-
-        let html = '<div class="receipt-total-amount-row">';
-
-        html += `<div class="total-row"><span>Subtotal:</span><span>${formatCurrency(subtotal)}</span></div>`;
-
-        if (discount > 0) {
-            // Determine discount label and value based on type
-            let discountLabel = 'Discount';
-            let discountValue;
-            
-            if (discountType === 'percentage' || discountType === 'percent') {
-                // Show percentage in label with minus operator (e.g., "Discount -50%:")
-                discountLabel = `Discount -${discount}%`;
-                // Calculate and show discount amount in rupees
-                const discountAmount = (subtotal * discount) / 100;
-                discountValue = formatCurrency(discountAmount);
-            } else {
-                // Show currency label and amount
-                discountLabel = 'Discount (₹)';
-                discountValue = formatCurrency(discount);
-            }
-
-            html += `<div class="total-row"><span>${discountLabel}:</span><span>${discountValue}</span></div>`;
-        }
-
-        // Tax rows
-        if (tax.cgst && tax.cgst.amount > 0) {
-            html += `<div class="total-row"><span>CGST @ ${tax.cgst.rate}%:</span><span>${formatCurrency(tax.cgst.amount)}</span></div>`;
-        }
-        if (tax.sgst && tax.sgst.amount > 0) {
-            html += `<div class="total-row"><span>SGST @ ${tax.sgst.rate}%:</span><span>${formatCurrency(tax.sgst.amount)}</span></div>`;
-        }
-        if (tax.igst && tax.igst.amount > 0) {
-            html += `<div class="total-row"><span>IGST @ ${tax.igst.rate}%:</span><span>${formatCurrency(tax.igst.amount)}</span></div>`;
-        }
-
-        html += `<div class="total-row total-final"><span>TOTAL:</span><span>${formatCurrency(total)}</span></div>`;
-        html += '</div>';
-
-        return html;
+    function joinClasses(classes) {
+        return classes.filter(Boolean).join(' ');
     }
 
     /**
-     * Render simple total amount row (only shows total, no subtotal/discount/tax)
-     * Used for transaction v2 receipts
-     */
-    function renderTotalAmountRowSimple(_element, data, _characterWidth) {
-        const total = data.total || 0;
-
-        let html = '<div class="receipt-total-amount-row">';
-        html += `<div class="total-row total-final"><span>TOTAL:</span><span>${formatCurrency(total)}</span></div>`;
-        html += '</div>';
-
-        return html;
-    }
-
-    /**
-     * Render footer message (Thank you message)
-     */
-    function renderFooterMessage(_element, data, _characterWidth) {
-        let html = '<div class="receipt-footer-message">';
-        html += '<div class="receipt-static-text text-center font-small font-normal">Thank you for shopping with us! Visit again</div>';
-        html += '</div>';
-        return html;
-    }
-
-    /**
-     * Render QR code
-     */
-    function renderQRCode(element, data, _characterWidth) {
-        const qrData = element.value ? replaceVariables(element.value, data) : data.qr_data || '';
-        const size = element.size || 'MEDIUM';
-
-        // Generate QR code using a library or placeholder
-        // For now, we'll use a placeholder div
-        let html = '<div class="receipt-qr-code">';
-        html += `<div class="qr-placeholder qr-${size.toLowerCase()}" data-qr="${escapeHtml(qrData)}">`;
-        html += '<div class="qr-text">QR Code</div>';
-        html += '</div>';
-        html += '<div class="receipt-static-text text-center font-normal font-normal">SCAN TO PAY</div>';
-        html += '</div>';
-
-        return html;
-    }
-
-    /**
-     * Render cut paper indicator
-     */
-    function renderCutPaper(_element, _data, _characterWidth) {
-        // Cut paper indicator removed - return empty string
-        return '';
-    }
-
-    /**
-     * Escape HTML to prevent XSS
+     * Escape text for HTML content and attribute values (plain string replacement, no DOM)
      */
     function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
     }
 
     /**
-     * Validate template structure
+     * Validate a template (or the combined templates file) against the template
+     * schema (template-schema.js): unknown element types and properties, and
+     * values outside an element's allowed ones, are errors
+     * @returns {object} { valid, errors, warnings } - messages name the element
+     *   index, e.g. 'elements[3] (text): unknown property "alignement" (did you mean "alignment"?)'
      */
     function validateTemplate(template) {
         const errors = [];
@@ -696,23 +379,22 @@ const PrintTemplateEngine = (() => {
             return { valid: false, errors, warnings };
         }
 
-        if (!template.receipt_template) {
-            errors.push('Missing "receipt_template" property');
-        }
+        errors.push(...getTemplateSchema().validate(template).errors.map(error => error.message));
 
-        if (!template.receipt_template?.elements) {
-            errors.push('Missing "receipt_template.elements" array');
-        } else if (!Array.isArray(template.receipt_template.elements)) {
-            errors.push('"receipt_template.elements" must be an array');
-        }
+        const templates = typeof template.templates === 'object' ? Object.entries(template.templates || {}) : [[null, template]];
+        templates.forEach(([name, entry]) => {
+            const receiptTemplate = entry?.receipt_template;
+            const prefix = name ? `${name}: ` : '';
+            if (!receiptTemplate) return;
 
-        if (!template.receipt_template?.characterWidth) {
-            warnings.push('Missing "characterWidth" property, defaulting to 32');
-        }
+            if (!receiptTemplate.characterWidth) {
+                warnings.push(`${prefix}Missing "characterWidth" property, defaulting to 32`);
+            }
 
-        if (!template.receipt_template?.paperWidth) {
-            warnings.push('Missing "paperWidth" property, defaulting to 58');
-        }
+            if (!receiptTemplate.paperWidth) {
+                warnings.push(`${prefix}Missing "paperWidth" property, defaulting to 58`);
+            }
+        });
 
         return {
             valid: errors.length === 0,
@@ -721,6 +403,34 @@ const PrintTemplateEngine = (() => {
         };
     }
 
+    /**
+     * Validate data against the variables schema: required fields, patterns
+     * (GSTIN, phone numbers), enums and number ranges
+     * @param {object} data - Data object (default: the sample data)
+     * @param {object} schema - Variables schema (default: the one loadDataSchema loaded)
+     * @returns {object} { valid, errors } with { field, message } errors
+     */
+    function validateData(data = null, schema = null) {
+        if (!data) data = sampleData || getDefaultSampleData();
+        return getDataValidation().validateData(data, schema || dataSchema);
+    }
+
+    // Renders validate against the loaded variables schema unless given another
+    function withDataSchema(options) {
+        return options.validation && !options.schema && dataSchema ? { ...options, schema: dataSchema } : options;
+    }
+
+    /**
+     * Check template + data against GST tax-invoice requirements
+     * (seller GSTIN, invoice number, date, place of supply, tax breakup)
+     * gst-compliance.js must be loaded
+     * @returns {object} { valid, errors, warnings } with { code, field, message, element } issues
+     */
+    function validateTaxInvoice(template, data = null) {
+        if (!data) data = sampleData || getDefaultSampleData();
+        return getCompliance().check(template, data);
+    }
+
     /**
      * Extract variables from template
      */
@@ -735,7 +445,7 @@ const PrintTemplateEngine = (() => {
             if (element.value && typeof element.value === 'string') {
                 const matches = element.value.matchAll(/\$\{([^}]+)\}/g);
                 for (const match of matches) {
-                    variables.add(match[1].trim());
+                    variables.add(receiptLayout.parseVariable(match[1]).path);
                 }
             }
         });
@@ -743,19 +453,45 @@ const PrintTemplateEngine = (() => {
         return Array.from(variables);
     }
 
+    function getImageCore() {
+        return typeof ReceiptImage !== 'undefined' ? ReceiptImage : require('./receipt-image.js');
+    }
+
+    function getTemplateSchema() {
+        return typeof TemplateSchema !== 'undefined' ? TemplateSchema : require('./template-schema.js');
+    }
+
+    function getDataValidation() {
+        return typeof DataValidation !== 'undefined' ? DataValidation : require('./data-validation.js');
+    }
+
+    function getCompliance() {
+        return typeof GSTCompliance !== 'undefined' ? GSTCompliance : require('./gst-compliance.js');
+    }
+
     // Public API
     return {
+        setLoaders,
         loadSampleData,
+        loadDataSchema,
+        loadTemplate,
         getDefaultSampleData,
-        replaceVariables,
+        replaceVariables: receiptLayout.replaceVariables,
         renderPreview,
         renderElement,
+        renderPlainText,
         validateTemplate,
+        validateData,
+        validateTaxInvoice,
         extractVariables,
-        formatCurrency,
-        formatIndianNumber,
-        formatDate,
-        formatTime
+        formatCurrency: receiptLayout.formatCurrency,
+        formatIndianNumber: receiptLayout.formatIndianNumber,
+        formatDate: receiptLayout.formatDate,
+        formatTime: receiptLayout.formatTime
     };
 })();
 
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintTemplateEngine;
+}
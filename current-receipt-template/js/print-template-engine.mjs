@@ -0,0 +1,33 @@
+/**
+ * Print Template Engine - ES module entry (Node.js and bundlers)
+ * Re-exports the CommonJS build in print-template-engine.js, which requires
+ * the layout core and the other modules it uses
+ *
+ * Usage:
+ *   import PrintTemplateEngine, { renderPlainText } from './js/print-template-engine.mjs';
+ *   const text = renderPlainText(template, data);
+ */
+
+import PrintTemplateEngine from './print-template-engine.js';
+
+export const {
+    setLoaders,
+    loadSampleData,
+    loadDataSchema,
+    loadTemplate,
+    getDefaultSampleData,
+    replaceVariables,
+    renderPreview,
+    renderElement,
+    renderPlainText,
+    validateTemplate,
+    validateData,
+    validateTaxInvoice,
+    extractVariables,
+    formatCurrency,
+    formatIndianNumber,
+    formatDate,
+    formatTime
+} = PrintTemplateEngine;
+
+export default PrintTemplateEngine;
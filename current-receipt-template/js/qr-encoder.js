@@ -0,0 +1,418 @@
+/**
+ * QR Encoder - Offline QR Code (Model 2) encoder for receipt previews and raster printing
+ * Byte mode (UTF-8), versions 1-40, error correction levels L/M/Q/H,
+ * automatic mask selection (ISO/IEC 18004)
+ *
+ * Usage:
+ *   const symbol = QREncoder.encode('upi://pay?pa=merchant@upi', 'M');
+ *   symbol.modules[y][x] // true = dark module
+ */
+
+const QREncoder = (() => {
+    // Error correction codewords per block, indexed [level][version]
+    const ECC_CODEWORDS_PER_BLOCK = {
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    };
+
+    // Number of error correction blocks, indexed [level][version]
+    const NUM_ERROR_CORRECTION_BLOCKS = {
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    };
+
+    // Error correction level bits in the format information
+    const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, _y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    /**
+     * Encode text as a QR Code symbol
+     * @param {string} text - Data to encode (UTF-8, byte mode)
+     * @param {string} errorCorrection - Error correction level (L, M, Q, H), defaults to M
+     * @returns {object} { version, size, modules } where modules[y][x] is true for dark modules
+     */
+    function encode(text, errorCorrection = 'M') {
+        const level = FORMAT_BITS[errorCorrection] !== undefined ? errorCorrection : 'M';
+        const bytes = utf8Bytes(String(text));
+
+        let version = 1;
+        while (8 * getNumDataCodewords(version, level) < 4 + getCountBits(version) + 8 * bytes.length) {
+            version++;
+            if (version > 40) {
+                throw new Error(`QR data too long: ${bytes.length} bytes at error correction ${level}`);
+            }
+        }
+
+        const codewords = addEccAndInterleave(buildDataCodewords(bytes, version, level), version, level);
+        const symbol = createSymbol(version);
+
+        drawFunctionPatterns(symbol, version);
+        drawCodewords(symbol, codewords);
+
+        // Pick the mask with the lowest penalty score
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        MASKS.forEach((_mask, mask) => {
+            applyMask(symbol, mask);
+            drawFormatBits(symbol, level, mask);
+            const penalty = getPenaltyScore(symbol);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(symbol, mask); // XOR again to undo
+        });
+
+        applyMask(symbol, bestMask);
+        drawFormatBits(symbol, level, bestMask);
+
+        return { version, size: symbol.size, modules: symbol.modules };
+    }
+
+    function utf8Bytes(text) {
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (code < 0x80) {
+                bytes.push(code);
+            } else if (code < 0x800) {
+                bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+            } else if (code < 0x10000) {
+                bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+            } else {
+                bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+            }
+        }
+        return bytes;
+    }
+
+    function getCountBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    }
+
+    /**
+     * Mode indicator, character count, data, terminator and pad codewords
+     */
+    function buildDataCodewords(bytes, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4); // Byte mode
+        append(bytes.length, getCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacityBits = getNumDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    /**
+     * Split data into blocks, append Reed-Solomon codewords and interleave
+     */
+    function addEccAndInterleave(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            offset += blockData.length;
+            const ecc = reedSolomonRemainder(blockData, divisor);
+            if (i < numShortBlocks) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function createSymbol(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { size, modules: grid(), isFunction: grid() };
+    }
+
+    function setFunctionModule(symbol, x, y, dark) {
+        symbol.modules[y][x] = dark;
+        symbol.isFunction[y][x] = true;
+    }
+
+    /**
+     * Finder, timing and alignment patterns, version information and
+     * reserved format areas
+     */
+    function drawFunctionPatterns(symbol, version) {
+        const size = symbol.size;
+
+        for (let i = 0; i < size; i++) {
+            setFunctionModule(symbol, 6, i, i % 2 === 0);
+            setFunctionModule(symbol, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunctionModule(symbol, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = getAlignmentPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Skip the three finder corners
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunctionModule(symbol, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas (filled in once the mask is chosen)
+        drawFormatBits(symbol, 'M', 0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunctionModule(symbol, a, b, dark);
+                setFunctionModule(symbol, b, a, dark);
+            }
+        }
+    }
+
+    function getAlignmentPositions(version, size) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    function drawFormatBits(symbol, level, mask) {
+        const size = symbol.size;
+        const data = (FORMAT_BITS[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) setFunctionModule(symbol, 8, i, bit(i));
+        setFunctionModule(symbol, 8, 7, bit(6));
+        setFunctionModule(symbol, 8, 8, bit(7));
+        setFunctionModule(symbol, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunctionModule(symbol, 14 - i, 8, bit(i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+        setFunctionModule(symbol, 8, size - 8, true); // Always-dark module
+    }
+
+    /**
+     * Place codewords in the zigzag pattern, two columns at a time from the bottom right
+     */
+    function drawCodewords(symbol, codewords) {
+        const size = symbol.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!symbol.isFunction[y][x] && i < codewords.length * 8) {
+                        symbol.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(symbol, mask) {
+        const invert = MASKS[mask];
+        for (let y = 0; y < symbol.size; y++) {
+            for (let x = 0; x < symbol.size; x++) {
+                if (!symbol.isFunction[y][x] && invert(x, y)) {
+                    symbol.modules[y][x] = !symbol.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Mask penalty: runs of 5+, 2x2 blocks, finder-like patterns, dark/light balance
+     */
+    function getPenaltyScore(symbol) {
+        const { size, modules } = symbol;
+        const finderLike = [true, false, true, true, true, false, true];
+        let penalty = 0;
+        let dark = 0;
+
+        const scanLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                const color = i < size ? get(i) : !runColor;
+                if (color === runColor) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + runLength - 5;
+                    runColor = color;
+                    runLength = 1;
+                }
+            }
+
+            for (let i = 0; i + 7 <= size; i++) {
+                if (finderLike.every((value, k) => get(i + k) === value)) {
+                    const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                    const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+                    if (lightBefore || lightAfter) penalty += 40;
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) {
+            scanLine(x => modules[y][x]);
+            scanLine(x => modules[x][y]);
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+
+    // Public API
+    return {
+        encode
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QREncoder;
+}
@@ -0,0 +1,576 @@
+/**
+ * Receipt Image - Logo/image processing for thermal receipts
+ * Decodes PNG images (no browser canvas or Node.js packages needed),
+ * scales them to the printer's dot width and dithers them to 1-bit bitmaps
+ * that print with GS v 0 and preview as the same pixels in HTML.
+ * Also draws text the printer has no font for (Indic scripts) into bitmaps,
+ * which does need a canvas (see rasterizeText)
+ *
+ * Bitmap format (same as GS v 0 raster data):
+ *   { width, height, bytesPerRow, data } - rows top to bottom, MSB = leftmost dot, 1 = black
+ */
+
+const ReceiptImage = (() => {
+    const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+    const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    const TEXT_FONT = '"Noto Sans", "Noto Sans Devanagari", "Noto Sans Kannada", "Noto Sans Tamil", sans-serif';
+
+    /**
+     * Load an image source and turn it into a centered, dithered bitmap
+     * @param {string} source - data: URL, base64 PNG or file path (Node.js only)
+     * @param {number} paperDots - Printable width in dots (384 for 58mm, 576 for 80mm)
+     * @param {number} width - Optional image width in dots (defaults to paperDots)
+     * @returns {object} Bitmap padded to paperDots with the image centered
+     */
+    function loadBitmap(source, paperDots, width) {
+        const image = decodePNG(readImageSource(source));
+        const targetWidth = Math.min(width || paperDots, paperDots);
+        const targetHeight = Math.max(1, Math.round(image.height * targetWidth / image.width));
+        const scaled = scaleGray(image, targetWidth, targetHeight);
+        return ditherToBitmap(scaled, paperDots);
+    }
+
+    /**
+     * Read image bytes from a data: URL, raw base64 PNG or file path
+     * @param {string} source - Image source
+     * @returns {Uint8Array} File bytes
+     */
+    function readImageSource(source) {
+        const value = String(source).trim();
+        if (value.startsWith('data:')) {
+            return base64Decode(value.substring(value.indexOf(',') + 1));
+        }
+        // Base64 PNG data always starts with the encoded signature
+        if (value.startsWith('iVBORw0KGgo')) {
+            return base64Decode(value);
+        }
+        if (typeof require === 'function') {
+            return new Uint8Array(require('fs').readFileSync(value));
+        }
+        throw new Error(`Image file paths can only be read in Node.js: ${value}`);
+    }
+
+    /**
+     * Decode a PNG file to grayscale composited on white paper
+     * @param {Uint8Array} bytes - PNG file bytes
+     * @returns {object} { width, height, gray: Float32Array (0 = black, 255 = white) }
+     */
+    function decodePNG(bytes) {
+        PNG_SIGNATURE.forEach((value, index) => {
+            if (bytes[index] !== value) {
+                throw new Error('Image is not a PNG file');
+            }
+        });
+
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const idat = [];
+
+        let offset = 8;
+        while (offset < bytes.length) {
+            const length = readUint32(bytes, offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'IHDR') {
+                header = {
+                    width: readUint32(chunk, 0),
+                    height: readUint32(chunk, 4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = chunk;
+            } else if (type === 'tRNS') {
+                transparency = chunk;
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+
+            offset += 12 + length;
+        }
+
+        if (!header) {
+            throw new Error('PNG is missing its IHDR chunk');
+        }
+        if (header.interlace !== 0) {
+            throw new Error('Interlaced PNG images are not supported');
+        }
+
+        const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+        if (!channels) {
+            throw new Error(`Unsupported PNG color type: ${header.colorType}`);
+        }
+
+        const compressed = concatBytes(idat);
+        const pixels = unfilter(inflate(compressed), header, channels);
+        return toGray(pixels, header, channels, palette, transparency);
+    }
+
+    /**
+     * Reverse PNG scanline filters
+     * @returns {Uint8Array} Raw scanlines without filter bytes
+     */
+    function unfilter(data, header, channels) {
+        const bitsPerPixel = channels * header.bitDepth;
+        const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+        const stride = Math.ceil(header.width * bitsPerPixel / 8);
+        const out = new Uint8Array(stride * header.height);
+
+        for (let y = 0; y < header.height; y++) {
+            const filter = data[y * (stride + 1)];
+            const src = y * (stride + 1) + 1;
+            const row = y * stride;
+            const prev = row - stride;
+
+            for (let x = 0; x < stride; x++) {
+                const raw = data[src + x];
+                const a = x >= bytesPerPixel ? out[row + x - bytesPerPixel] : 0;
+                const b = y > 0 ? out[prev + x] : 0;
+                const c = x >= bytesPerPixel && y > 0 ? out[prev + x - bytesPerPixel] : 0;
+                let value;
+
+                switch (filter) {
+                    case 0: value = raw; break;
+                    case 1: value = raw + a; break;
+                    case 2: value = raw + b; break;
+                    case 3: value = raw + ((a + b) >> 1); break;
+                    case 4: value = raw + paeth(a, b, c); break;
+                    default: throw new Error(`Invalid PNG filter type: ${filter}`);
+                }
+                out[row + x] = value & 0xFF;
+            }
+        }
+
+        return out;
+    }
+
+    function paeth(a, b, c) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        if (pa <= pb && pa <= pc) return a;
+        return pb <= pc ? b : c;
+    }
+
+    /**
+     * Convert raw scanlines to luminance, compositing transparency on white
+     */
+    function toGray(pixels, header, channels, palette, transparency) {
+        const { width, height, bitDepth, colorType } = header;
+        const stride = Math.ceil(width * channels * bitDepth / 8);
+        const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+        const gray = new Float32Array(width * height);
+
+        // Read sample n of a row, scaled to 0-255 (16-bit samples use the high byte)
+        const sample = (row, n) => {
+            if (bitDepth === 16) return pixels[row + n * 2];
+            if (bitDepth === 8) return pixels[row + n];
+            const bit = n * bitDepth;
+            const value = (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+            return colorType === 3 ? value : value * 255 / maxValue;
+        };
+
+        for (let y = 0; y < height; y++) {
+            const row = y * stride;
+            for (let x = 0; x < width; x++) {
+                let r, g, b, alpha = 255;
+
+                if (colorType === 3) {
+                    const index = sample(row, x);
+                    r = palette ? palette[index * 3] : 0;
+                    g = palette ? palette[index * 3 + 1] : 0;
+                    b = palette ? palette[index * 3 + 2] : 0;
+                    if (transparency && index < transparency.length) alpha = transparency[index];
+                } else if (colorType === 0 || colorType === 4) {
+                    r = g = b = sample(row, x * channels);
+                    if (colorType === 4) alpha = sample(row, x * channels + 1);
+                } else {
+                    r = sample(row, x * channels);
+                    g = sample(row, x * channels + 1);
+                    b = sample(row, x * channels + 2);
+                    if (colorType === 6) alpha = sample(row, x * channels + 3);
+                }
+
+                const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+                gray[y * width + x] = (luminance * alpha + 255 * (255 - alpha)) / 255;
+            }
+        }
+
+        return { width, height, gray };
+    }
+
+    /**
+     * Resize a grayscale image by averaging the source area under each target pixel
+     */
+    function scaleGray(image, targetWidth, targetHeight) {
+        const gray = new Float32Array(targetWidth * targetHeight);
+        const scaleX = image.width / targetWidth;
+        const scaleY = image.height / targetHeight;
+
+        for (let y = 0; y < targetHeight; y++) {
+            const y0 = Math.floor(y * scaleY);
+            const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * scaleY)));
+            for (let x = 0; x < targetWidth; x++) {
+                const x0 = Math.floor(x * scaleX);
+                const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * scaleX)));
+                let sum = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        sum += image.gray[sy * image.width + sx];
+                    }
+                }
+                gray[y * targetWidth + x] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+
+        return { width: targetWidth, height: targetHeight, gray };
+    }
+
+    /**
+     * Floyd-Steinberg dither to a 1-bit bitmap, centered on the paper width
+     * @param {object} image - Grayscale image
+     * @param {number} paperDots - Output bitmap width in dots
+     * @returns {object} Bitmap
+     */
+    function ditherToBitmap(image, paperDots) {
+        const { width, height } = image;
+        const gray = Float32Array.from(image.gray);
+        const outputWidth = Math.max(paperDots, width);
+        const left = Math.floor((outputWidth - width) / 2);
+        const bitmap = createBitmap(outputWidth, height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                const oldValue = gray[index];
+                const black = oldValue < 128;
+                const error = oldValue - (black ? 0 : 255);
+
+                if (black) setDot(bitmap, left + x, y);
+
+                if (x + 1 < width) gray[index + 1] += error * 7 / 16;
+                if (y + 1 < height) {
+                    if (x > 0) gray[index + width - 1] += error * 3 / 16;
+                    gray[index + width] += error * 5 / 16;
+                    if (x + 1 < width) gray[index + width + 1] += error / 16;
+                }
+            }
+        }
+
+        return bitmap;
+    }
+
+    /**
+     * Create an all-white bitmap
+     * @param {number} width - Width in dots
+     * @param {number} height - Height in dots
+     * @returns {object} Bitmap
+     */
+    function createBitmap(width, height) {
+        const bytesPerRow = Math.ceil(width / 8);
+        return { width, height, bytesPerRow, data: new Uint8Array(bytesPerRow * height) };
+    }
+
+    function setDot(bitmap, x, y) {
+        bitmap.data[y * bitmap.bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+
+    /**
+     * Draw text runs into a 1-bit bitmap with a canvas (OffscreenCanvas or a
+     * DOM canvas), for scripts printer fonts can't draw
+     * @param {Array<object>} runs - { text, x, width, align } in dots; text is
+     *   aligned LEFT, CENTER or RIGHT within its width and squeezed to fit it
+     * @param {object} options - { width, height, bold, font } (width and height in dots)
+     * @returns {object|null} Bitmap, or null when there is no canvas (e.g. Node.js)
+     */
+    function rasterizeText(runs, options) {
+        const { width, height } = options;
+        const canvas = createCanvas(width, height);
+        const context = canvas && canvas.getContext('2d');
+        if (!context) return null;
+
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, width, height);
+        context.fillStyle = '#000';
+        context.textBaseline = 'middle';
+        context.font = `${options.bold ? 'bold ' : ''}${Math.round(height * 0.7)}px ${options.font || TEXT_FONT}`;
+        runs.forEach(run => {
+            const align = (run.align || 'LEFT').toLowerCase();
+            const anchors = { left: run.x, center: run.x + run.width / 2, right: run.x + run.width };
+            context.textAlign = align;
+            context.fillText(run.text, anchors[align] ?? run.x, height / 2, run.width);
+        });
+
+        const pixels = context.getImageData(0, 0, width, height).data;
+        const bitmap = createBitmap(width, height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = (y * width + x) * 4;
+                const gray = (pixels[index] * 299 + pixels[index + 1] * 587 + pixels[index + 2] * 114) / 1000;
+                if (gray < 128) setDot(bitmap, x, y);
+            }
+        }
+        return bitmap;
+    }
+
+    function createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        if (typeof document !== 'undefined' && document.createElement) {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return null;
+    }
+
+    /**
+     * Encode a bitmap as a 1-bit BMP data URL for the HTML preview
+     * @param {object} bitmap - Bitmap
+     * @returns {string} data:image/bmp;base64 URL
+     */
+    function bitmapToDataURL(bitmap) {
+        const rowSize = Math.ceil(bitmap.bytesPerRow / 4) * 4;
+        const pixelOffset = 14 + 40 + 8;
+        const fileSize = pixelOffset + rowSize * bitmap.height;
+        const bytes = new Uint8Array(fileSize);
+        const view = new DataView(bytes.buffer);
+
+        // BITMAPFILEHEADER
+        bytes[0] = 0x42; // 'B'
+        bytes[1] = 0x4D; // 'M'
+        view.setUint32(2, fileSize, true);
+        view.setUint32(10, pixelOffset, true);
+
+        // BITMAPINFOHEADER
+        view.setUint32(14, 40, true);
+        view.setInt32(18, bitmap.width, true);
+        view.setInt32(22, bitmap.height, true);
+        view.setUint16(26, 1, true);
+        view.setUint16(28, 1, true); // 1 bit per pixel
+        view.setUint32(34, rowSize * bitmap.height, true);
+        view.setUint32(46, 2, true);
+
+        // Palette: index 0 = white paper, index 1 = black dot
+        bytes.set([255, 255, 255, 0, 0, 0, 0, 0], 54);
+
+        // Rows bottom-up
+        for (let y = 0; y < bitmap.height; y++) {
+            const src = bitmap.data.subarray(y * bitmap.bytesPerRow, (y + 1) * bitmap.bytesPerRow);
+            bytes.set(src, pixelOffset + (bitmap.height - 1 - y) * rowSize);
+        }
+
+        return 'data:image/bmp;base64,' + base64Encode(bytes);
+    }
+
+    /**
+     * Inflate a zlib stream (RFC 1950/1951)
+     * @param {Uint8Array} data - zlib data
+     * @returns {Uint8Array} Decompressed bytes
+     */
+    function inflate(data) {
+        const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+        const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        let pos = 2; // skip zlib header
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let out = new Uint8Array(Math.max(1024, data.length * 4));
+        let outLength = 0;
+
+        const bits = (count) => {
+            while (bitCount < count) {
+                if (pos >= data.length) throw new Error('Unexpected end of compressed image data');
+                bitBuffer |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        };
+
+        const emit = (byte) => {
+            if (outLength === out.length) {
+                const grown = new Uint8Array(out.length * 2);
+                grown.set(out);
+                out = grown;
+            }
+            out[outLength++] = byte;
+        };
+
+        const buildTree = (lengths) => {
+            const counts = new Uint16Array(16);
+            const offsets = new Uint16Array(16);
+            const symbols = new Uint16Array(lengths.length);
+            lengths.forEach(length => { counts[length]++; });
+            counts[0] = 0;
+            for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+            lengths.forEach((length, symbol) => {
+                if (length) symbols[offsets[length]++] = symbol;
+            });
+            return { counts, symbols };
+        };
+
+        const decodeSymbol = (tree) => {
+            let code = 0;
+            let first = 0;
+            let index = 0;
+            for (let length = 1; length < 16; length++) {
+                code |= bits(1);
+                const count = tree.counts[length];
+                if (code - first < count) return tree.symbols[index + code - first];
+                index += count;
+                first = (first + count) << 1;
+                code <<= 1;
+            }
+            throw new Error('Invalid Huffman code in compressed image data');
+        };
+
+        const inflateBlock = (literalTree, distanceTree) => {
+            for (;;) {
+                const symbol = decodeSymbol(literalTree);
+                if (symbol < 256) {
+                    emit(symbol);
+                } else if (symbol === 256) {
+                    return;
+                } else {
+                    const lengthIndex = symbol - 257;
+                    const length = LENGTH_BASE[lengthIndex] + bits(LENGTH_EXTRA[lengthIndex]);
+                    const distanceIndex = decodeSymbol(distanceTree);
+                    const distance = DIST_BASE[distanceIndex] + bits(DIST_EXTRA[distanceIndex]);
+                    for (let i = 0; i < length; i++) {
+                        emit(out[outLength - distance]);
+                    }
+                }
+            }
+        };
+
+        let fixedTrees = null;
+        let finalBlock = 0;
+
+        while (!finalBlock) {
+            finalBlock = bits(1);
+            const type = bits(2);
+
+            if (type === 0) {
+                // Stored block: byte-aligned length, one's complement, raw bytes
+                bitBuffer = 0;
+                bitCount = 0;
+                const length = data[pos] | (data[pos + 1] << 8);
+                pos += 4;
+                for (let i = 0; i < length; i++) emit(data[pos++]);
+            } else if (type === 1) {
+                if (!fixedTrees) {
+                    const literalLengths = new Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280, 288);
+                    fixedTrees = [buildTree(literalLengths), buildTree(new Array(30).fill(5))];
+                }
+                inflateBlock(fixedTrees[0], fixedTrees[1]);
+            } else if (type === 2) {
+                const literalCount = bits(5) + 257;
+                const distanceCount = bits(5) + 1;
+                const codeLengthCount = bits(4) + 4;
+
+                const codeLengths = new Array(19).fill(0);
+                for (let i = 0; i < codeLengthCount; i++) {
+                    codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+                }
+                const codeLengthTree = buildTree(codeLengths);
+
+                const lengths = [];
+                while (lengths.length < literalCount + distanceCount) {
+                    const symbol = decodeSymbol(codeLengthTree);
+                    if (symbol < 16) {
+                        lengths.push(symbol);
+                    } else if (symbol === 16) {
+                        const previous = lengths[lengths.length - 1];
+                        for (let i = bits(2) + 3; i > 0; i--) lengths.push(previous);
+                    } else if (symbol === 17) {
+                        for (let i = bits(3) + 3; i > 0; i--) lengths.push(0);
+                    } else {
+                        for (let i = bits(7) + 11; i > 0; i--) lengths.push(0);
+                    }
+                }
+
+                inflateBlock(buildTree(lengths.slice(0, literalCount)), buildTree(lengths.slice(literalCount)));
+            } else {
+                throw new Error('Invalid block type in compressed image data');
+            }
+        }
+
+        return out.subarray(0, outLength);
+    }
+
+    function readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    function concatBytes(chunks) {
+        const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+
+    function base64Decode(text) {
+        const clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+        const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+        let buffer = 0;
+        let bitsCollected = 0;
+        let index = 0;
+
+        for (const char of clean) {
+            buffer = (buffer << 6) | BASE64_CHARS.indexOf(char);
+            bitsCollected += 6;
+            if (bitsCollected >= 8) {
+                bitsCollected -= 8;
+                bytes[index++] = (buffer >> bitsCollected) & 0xFF;
+            }
+        }
+
+        return bytes.subarray(0, index);
+    }
+
+    function base64Encode(bytes) {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            result += BASE64_CHARS[(chunk >> 18) & 63] + BASE64_CHARS[(chunk >> 12) & 63];
+            result += i + 1 < bytes.length ? BASE64_CHARS[(chunk >> 6) & 63] : '=';
+            result += i + 2 < bytes.length ? BASE64_CHARS[chunk & 63] : '=';
+        }
+        return result;
+    }
+
+    // Public API
+    return {
+        loadBitmap,
+        decodePNG,
+        ditherToBitmap,
+        createBitmap,
+        setDot,
+        rasterizeText,
+        bitmapToDataURL,
+        inflate
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptImage;
+}
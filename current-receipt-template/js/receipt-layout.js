@@ -0,0 +1,1635 @@
+/**
+ * Receipt Layout - Shared layout core for receipt rendering
+ * Turns template + data into one layout model (blocks of fixed-width lines)
+ * that the HTML preview, plain-text output and ESC/POS generator all draw from
+ *
+ * Layout model:
+ *   { characterWidth, paperWidth, blocks: [{ type, className, lines: [line], warnings }] }
+ *   warnings (optional) - problems found while laying out the element, e.g. totals that don't add up
+ *   hidden / unknown (optional) - the element's when condition is false / its type isn't known; no lines
+ *   locale - locale whose labels the built-in elements print (see ReceiptLocales)
+ *   warnings (optional, on the model) - data problems found in lenient validation (see DataValidation)
+ *
+ * Line kinds:
+ *   text  - { text, align, size, weight, className }
+ *   row   - { cells: [{ text, width, align, className }], width, align, size, weight, tall, className }
+ *           Cells are separated by one space; width is the total row width
+ *   rule  - { char, length, align } dividing line (drawn by CSS borders in the preview)
+ *   blank - empty line
+ *   image - { height, label, bitmap } logo/image space; bitmap is the dithered
+ *           1-bit image (see ReceiptImage) when the element has an image source
+ *   qr    - { data, size, errorCorrection, align, moduleSize, bitmap }
+ *           bitmap is the encoded symbol (see QREncoder), moduleSize dots per module
+ *   barcode - { data, symbology, height, moduleWidth, hri, align, paperDots, text, modules, codeSet }
+ *           modules are the encoded bars (see BarcodeEncoder), moduleWidth dots each;
+ *           data is what the printer receives, text the human-readable line
+ */
+
+const ReceiptLayout = (() => {
+    const FINALIZING_OPS = ['=', '%', 'GT', 'M+', 'M-'];
+    const QR_MODULE_SIZES = { SMALL: 3, MEDIUM: 6, LARGE: 8 };
+    // receipt_template date_format, time_format and timezone defaults
+    const DATE_DEFAULTS = { dateFormat: 'DD/MM/YYYY', timeFormat: 'hh:mm:ss A', timeZone: 'Asia/Kolkata' };
+    // Date pattern tokens (longest first) and 'quoted literals'
+    const DATE_TOKENS = /'([^']*)'|YYYY|YY|MMM|MM|DD|HH|hh|mm|ss|A/g;
+    // Printed in place of an amount that isn't a finite number
+    const UNREADABLE_AMOUNT = '?';
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    // Timestamps without Z or an offset are wall-clock times, printed as written
+    const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+    const zoneFormatters = {};
+    const warnedTimeZones = new Set();
+    // Combining marks and joiners share the column of the letter before them
+    const ZERO_WIDTH = /[\p{M}\u200B-\u200D]/u;
+
+    // Formatters for ${value | name:arg} pipes: (value, args, dates)
+    const FORMATTERS = {
+        currency: (value) => formatCurrency(value),
+        number: (value) => formatIndianNumber(value),
+        date: (value, [pattern], dates) => formatDatePattern(value, pattern || dates.dateFormat, dates.timeZone),
+        time: (value, [pattern], dates) => formatDatePattern(value, pattern || dates.timeFormat, dates.timeZone),
+        upper: (value) => String(value).toUpperCase(),
+        lower: (value) => String(value).toLowerCase(),
+        truncate: (value, [length]) => fitText(value, parseInt(length, 10) || 0),
+        default: (value, [fallback = '']) => (value === undefined || value === null || value === '' ? fallback : value)
+    };
+    // Formatters that take an argument: what's wrong with it, or null (checkCondition)
+    const FORMATTER_ARGUMENTS = {
+        date: ([pattern]) => checkDatePattern(pattern),
+        time: ([pattern]) => checkDatePattern(pattern),
+        truncate: ([length]) => (/^\d+$/.test(length) ? null : `truncate length must be a number, not "${length}"`),
+        default: () => null
+    };
+
+    /**
+     * Lay out a whole template
+     * @param {object} template - Template JSON
+     * @param {object} data - Data object with variable values
+     * @param {object} options - { locale } for the built-in labels (default receipt_template.locale, then en-IN);
+     *   { validation: 'strict' | 'lenient', schema } to check the data against the variables schema first;
+     *   { onWarning(message) } is called with each lenient-validation warning, then each block warning
+     * @returns {object} Layout model
+     * @throws {Error} In strict validation when the data doesn't match the schema
+     */
+    function layoutTemplate(template, data, options = {}) {
+        const dataWarnings = options.validation ? getDataValidation().checkForRender(data, options) : [];
+        const receiptTemplate = template.receipt_template;
+        const characterWidth = receiptTemplate.characterWidth || 32;
+        const elementOptions = {
+            locale: getLocales().resolveLocale(template, options),
+            date_format: receiptTemplate.date_format,
+            time_format: receiptTemplate.time_format,
+            timezone: receiptTemplate.timezone
+        };
+
+        const layout = {
+            characterWidth,
+            paperWidth: receiptTemplate.paperWidth || 58,
+            locale: elementOptions.locale,
+            blocks: withItemHeaderColumns(receiptTemplate.elements || [])
+                .map(element => layoutElement(element, data, characterWidth, elementOptions))
+        };
+        if (options.onWarning) {
+            dataWarnings.forEach(message => options.onWarning(message));
+            layout.blocks.forEach(block => (block.warnings || []).forEach(message => options.onWarning(message)));
+        }
+        return dataWarnings.length > 0 ? { ...layout, warnings: dataWarnings } : layout;
+    }
+
+    /**
+     * Give item_header_row elements without their own columns the columns of
+     * the template's bill_items, so the header always matches the table
+     */
+    function withItemHeaderColumns(elements) {
+        const items = elements.find(element => element.type === 'bill_items' && element.columns);
+        if (!items) return elements;
+        return elements.map(element => (element.type === 'item_header_row' && !element.columns
+            ? { ...element, columns: items.columns }
+            : element));
+    }
+
+    /**
+     * Lay out a single element
+     * Elements whose `when` condition is false lay out as a hidden block with no lines
+     * @param {object} element - Element object
+     * @param {object} data - Data object
+     * @param {number} characterWidth - Characters per printer line
+     * @param {object} options - { locale, date_format, time_format, timezone } as in
+     *   receipt_template (defaults en-IN, DD/MM/YYYY, hh:mm:ss A, Asia/Kolkata)
+     * @returns {object} Block with type, className and lines; hidden when the condition is false,
+     *   unknown (with no lines) when the element type isn't one this module lays out
+     */
+    function layoutElement(element, data, characterWidth, options = {}) {
+        const layouts = {
+            'text': layoutText,
+            'static_text': layoutStaticText,
+            'separator': layoutSeparator,
+            'newline': layoutNewline,
+            'placeholder_block': layoutPlaceholderBlock,
+            'bill_date_row': layoutBillDateRow,
+            'customer_info_row': layoutCustomerInfoRow,
+            'transaction_payment_row': layoutTransactionPaymentRow,
+            'transaction_calculation': layoutTransactionCalculation,
+            'transaction_calculation_v2': layoutTransactionCalculationV2,
+            'item_header_row': layoutItemHeaderRow,
+            'bill_items': layoutBillItems,
+            'total_qty_items_row': layoutTotalQtyItemsRow,
+            'total_amount_row': layoutTotalAmountRow,
+            'total_amount_row_simple': layoutTotalAmountRowSimple,
+            'tax_summary': layoutTaxSummary,
+            'payment_summary': layoutPaymentSummary,
+            'payment_breakup': layoutPaymentBreakup,
+            'due_balance': layoutDueBalance,
+            'footer_message': layoutFooterMessage,
+            'qr_code': layoutQRCode,
+            'barcode': layoutBarcode,
+            'cut_paper': layoutCutPaper
+        };
+
+        if (element.when !== undefined && !evaluateCondition(element.when, data)) {
+            return { type: element.type, className: '', lines: [], hidden: true };
+        }
+
+        const layout = layouts[element.type];
+        if (!layout) {
+            return { type: element.type, className: '', lines: [], unknown: true };
+        }
+        const context = { labels: getLocales().getLabels(options.locale), dates: getDateSettings(options) };
+        return { type: element.type, ...layout(element, data, characterWidth, context) };
+    }
+
+    /**
+     * Evaluate an element condition against the data
+     *   "${gstin}"                          - value is non-empty
+     *   "!${cashier}"                       - value is empty
+     *   "${payment_type | lower} == 'due'"  - comparison (==, !=, >, <, >=, <=)
+     *   "${customer_name} || ${customer_mobile}", "${discount} > 0 && ${gstin}", ( )
+     * Variables accept nested paths and formatter pipes, as in replaceVariables
+     * @param {string|boolean} condition - Condition expression (booleans are used as is)
+     * @param {object} data - Data object
+     * @returns {boolean} Whether the condition holds
+     * @throws {Error} When the condition can't be parsed
+     */
+    function evaluateCondition(condition, data) {
+        if (typeof condition === 'boolean') return condition;
+        try {
+            return runCondition(String(condition), expression => resolveVariable(expression, data));
+        } catch (error) {
+            throw new Error(`Invalid when condition "${condition}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Check a condition without data: its syntax, and the formatters its
+     * variables use and their arguments (what validateTemplate reports)
+     * @param {string|boolean} condition - Condition expression
+     * @returns {string|null} What's wrong with it, e.g. 'unexpected end', or null
+     */
+    function checkCondition(condition) {
+        if (typeof condition === 'boolean') return null;
+        const problems = [];
+        try {
+            runCondition(String(condition), expression => {
+                parseVariable(expression).formatters.forEach(formatter => problems.push(checkFormatter(formatter)));
+                return undefined;
+            });
+        } catch (error) {
+            return error.message;
+        }
+        return problems.find(problem => problem) || null;
+    }
+
+    /**
+     * Check one formatter pipe: that it exists and takes the argument it's given
+     * @returns {string|null} What's wrong with it, or null
+     */
+    function checkFormatter({ name, args }) {
+        if (!FORMATTERS[name]) return `unknown formatter "${name}"`;
+        if (args.length === 0) return null;
+        if (!FORMATTER_ARGUMENTS[name]) return `formatter "${name}" takes no argument, not "${args[0]}"`;
+        return FORMATTER_ARGUMENTS[name](args);
+    }
+
+    /**
+     * Check a date pattern has no letters other than tokens and 'quoted' text
+     * (as the template schema's datePattern does for date_format and time_format)
+     * @returns {string|null} What's wrong with it, or null
+     */
+    function checkDatePattern(pattern) {
+        return /[A-Za-z']/.test(pattern.replace(DATE_TOKENS, ''))
+            ? `date pattern "${pattern}" has letters that aren't DD MM MMM YYYY YY HH hh mm ss A (quote other text)`
+            : null;
+    }
+
+    /**
+     * Parse a condition and work it out, reading variables with resolve
+     * @throws {Error} What's wrong with the condition (e.g. 'missing )')
+     */
+    function runCondition(condition, resolve) {
+        const tokens = tokenizeCondition(condition);
+        let position = 0;
+
+        const fail = (message) => {
+            throw new Error(message);
+        };
+        const peek = () => tokens[position];
+        const accept = (type, value) => {
+            const token = tokens[position];
+            if (token && token.type === type && (value === undefined || token.value === value)) {
+                position++;
+                return token;
+            }
+            return null;
+        };
+
+        const parseOr = () => {
+            let result = parseAnd();
+            while (accept('op', '||')) {
+                const right = parseAnd();
+                result = result || right;
+            }
+            return result;
+        };
+        const parseAnd = () => {
+            let result = parseNot();
+            while (accept('op', '&&')) {
+                const right = parseNot();
+                result = result && right;
+            }
+            return result;
+        };
+        const parseNot = () => (accept('op', '!') ? !parseNot() : parseComparison());
+        const parseComparison = () => {
+            const left = parseOperand();
+            const operator = peek() && ['==', '!=', '>', '<', '>=', '<='].includes(peek().value) ? tokens[position++].value : null;
+            if (!operator) return isTruthy(left);
+            return compareValues(left, operator, parseOperand());
+        };
+        const parseOperand = () => {
+            const token = tokens[position++];
+            if (!token) fail('unexpected end');
+            if (token.type === 'variable') return resolve(token.value);
+            if (token.type === 'literal') return token.value;
+            if (token.type === 'op' && token.value === '(') {
+                const result = parseOr();
+                if (!accept('op', ')')) fail('missing )');
+                return result;
+            }
+            return fail(`unexpected "${token.value}"`);
+        };
+
+        const result = parseOr();
+        if (position < tokens.length) fail(`unexpected "${tokens[position].value}"`);
+        return result;
+    }
+
+    function tokenizeCondition(text) {
+        const tokens = [];
+        const pattern = /\s*(?:\$\{([^}]+)\}|"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)|(true|false|null)\b|(\|\||&&|==|!=|>=|<=|[!<>()]))/y;
+        let index = 0;
+
+        while (index < text.length) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(text);
+            if (!match) {
+                if (text.substring(index).trim()) {
+                    throw new Error(`can't read "${text.substring(index).trim()}"`);
+                }
+                break;
+            }
+            index = pattern.lastIndex;
+
+            if (match[1] !== undefined) tokens.push({ type: 'variable', value: match[1] });
+            else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2] });
+            else if (match[3] !== undefined) tokens.push({ type: 'literal', value: match[3] });
+            else if (match[4] !== undefined) tokens.push({ type: 'literal', value: Number(match[4]) });
+            else if (match[5] !== undefined) tokens.push({ type: 'literal', value: JSON.parse(match[5]) });
+            else tokens.push({ type: 'op', value: match[6] });
+        }
+
+        return tokens;
+    }
+
+    function isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+    }
+
+    /**
+     * Compare two condition values: numerically when both look like numbers,
+     * otherwise == and != compare them as strings (missing values as '').
+     * >, <, >= and <= only order numbers: with any other operand they're false,
+     * rather than ordering text ('9' > '10', 'abc' > '') or missing values
+     */
+    function compareValues(left, operator, right) {
+        const toText = (value) => (value === undefined || value === null ? '' : String(value));
+        const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+        const numeric = isNumeric(left) && isNumeric(right);
+        if (!numeric && operator !== '==' && operator !== '!=') return false;
+        const a = numeric ? Number(left) : toText(left);
+        const b = numeric ? Number(right) : toText(right);
+
+        switch (operator) {
+            case '==': return a === b;
+            case '!=': return a !== b;
+            case '>': return a > b;
+            case '<': return a < b;
+            case '>=': return a >= b;
+            default: return a <= b;
+        }
+    }
+
+    function layoutText(element, data, characterWidth, { dates }) {
+        const text = String(replaceVariables(element.value || '', data, dates));
+        return {
+            className: 'receipt-text',
+            lines: textLines(text, characterWidth, {
+                align: element.alignment || 'LEFT',
+                size: element.font_size,
+                weight: element.font_weight
+            })
+        };
+    }
+
+    function layoutStaticText(element, _data, characterWidth) {
+        return {
+            className: 'receipt-static-text',
+            lines: textLines(element.value || '', characterWidth, {
+                align: element.alignment || 'CENTER',
+                size: element.font_size,
+                weight: element.font_weight
+            })
+        };
+    }
+
+    function layoutSeparator(element, _data, characterWidth) {
+        const length = Math.min(element.length || characterWidth, characterWidth);
+        const char = (element.style || 'DASHED') === 'DASHED' ? '-' : '=';
+        return {
+            className: 'receipt-separator',
+            lines: [{ kind: 'rule', char, length }]
+        };
+    }
+
+    function layoutNewline(_element, _data, _characterWidth) {
+        return {
+            className: 'receipt-newline',
+            lines: [{ kind: 'blank' }]
+        };
+    }
+
+    function layoutPlaceholderBlock(element, data, characterWidth, { labels, dates }) {
+        const line = { kind: 'image', height: element.height || 90, label: labels.logo };
+        const source = element.image ? replaceVariables(element.image, data, dates) : data.logo;
+
+        if (source && !source.includes('${')) {
+            try {
+                line.bitmap = getImageCore().loadBitmap(source, getPaperDots(characterWidth), element.width);
+                line.height = line.bitmap.height;
+            } catch (error) {
+                console.warn(`Could not load logo image, printing placeholder: ${error.message}`);
+            }
+        }
+
+        return {
+            className: 'receipt-placeholder-block',
+            lines: [line]
+        };
+    }
+
+    /**
+     * Printable width in dots: Font A characters are 12 dots wide
+     * (32 columns = 384 dots on 58mm paper, 48 columns = 576 dots on 80mm)
+     */
+    function getPaperDots(characterWidth) {
+        return characterWidth * 12;
+    }
+
+    // Resolved on first use so script load order doesn't matter in the browser
+    function getImageCore() {
+        return typeof ReceiptImage !== 'undefined' ? ReceiptImage : require('./receipt-image.js');
+    }
+
+    function getTotals() {
+        return typeof ReceiptTotals !== 'undefined' ? ReceiptTotals : require('./receipt-totals.js');
+    }
+
+    function getCalculationTape() {
+        return typeof CalculationTape !== 'undefined' ? CalculationTape : require('./calculation-tape.js');
+    }
+
+    function getBarcodeEncoder() {
+        return typeof BarcodeEncoder !== 'undefined' ? BarcodeEncoder : require('./barcode-encoder.js');
+    }
+
+    function getQREncoder() {
+        return typeof QREncoder !== 'undefined' ? QREncoder : require('./qr-encoder.js');
+    }
+
+    function getDataValidation() {
+        return typeof DataValidation !== 'undefined' ? DataValidation : require('./data-validation.js');
+    }
+
+    function getLocales() {
+        return typeof ReceiptLocales !== 'undefined' ? ReceiptLocales : require('./receipt-locales.js');
+    }
+
+    function layoutBillDateRow(_element, data, characterWidth, { labels, dates }) {
+        const billNumber = data.bill_number || data.billNumber || labels.not_available;
+        const billDate = formatDatePattern(data.bill_date || data.billDate, dates.dateFormat, dates.timeZone);
+        const billTime = formatDatePattern(data.bill_date || data.billDate, dates.timeFormat, dates.timeZone);
+
+        return {
+            className: 'receipt-bill-date-row',
+            lines: [
+                ruleLine(characterWidth),
+                ...textLines(`${labels.bill_no} ${billNumber}`, characterWidth),
+                ...spreadLines(`${labels.date} ${billDate}`, `${labels.time} ${billTime}`, characterWidth, {
+                    className: 'receipt-date-time-row',
+                    leftClassName: 'bill-date',
+                    rightClassName: 'bill-time'
+                }),
+                ruleLine(characterWidth)
+            ]
+        };
+    }
+
+    function layoutCustomerInfoRow(_element, data, characterWidth, { labels }) {
+        const customerName = data.customer_name || data.customerName || labels.not_available;
+        const customerMobile = data.customer_mobile || data.customerMobile || labels.not_available;
+
+        return {
+            className: 'customer-info',
+            lines: [
+                ...textLines(`${labels.customer} ${customerName}`, characterWidth),
+                ...textLines(`${labels.mobile_no} ${customerMobile}`, characterWidth)
+            ]
+        };
+    }
+
+    function layoutTransactionPaymentRow(_element, data, characterWidth, { labels }) {
+        const locales = getLocales();
+        const transactionType = locales.translate(labels.transaction_types, data.transaction_type || data.transactionType || 'Sale');
+        const paymentType = locales.translate(labels.payment_modes, data.payment_type || data.paymentType || ((data.payments || []).length > 1 ? 'Split' : 'Cash'));
+        const cashier = data.cashier;
+
+        const lines = [ruleLine(characterWidth)];
+        lines.push(...spreadLines(`${labels.type} ${transactionType}`, `${labels.payment} ${paymentType}`, characterWidth, {
+            className: 'receipt-type-payment-row',
+            leftClassName: 'transaction-type',
+            rightClassName: 'payment-type'
+        }));
+        if (cashier && cashier !== 'N/A') {
+            lines.push(...textLines(`${labels.cashier} ${cashier}`, characterWidth));
+        }
+        lines.push(ruleLine(characterWidth));
+
+        return { className: 'receipt-transaction-payment-row', lines };
+    }
+
+    /**
+     * Transaction calculation: multiplication on a single line, discount as subtraction
+     */
+    function layoutTransactionCalculation(element, data, characterWidth) {
+        const options = { align: element.alignment || 'RIGHT', size: element.font_size };
+        const lines = [];
+
+        (data.items || []).forEach(item => {
+            const expression = `${formatIndianNumber(item.rate || 0)} x ${formatIndianNumber(item.qty || 0)}`;
+            lines.push(...textLines(expression, characterWidth, { ...options, className: 'calculation-multiply' }));
+        });
+
+        const discount = data.discount || 0;
+        if (lines.length > 0 && discount > 0) {
+            const suffix = isPercentDiscount(data) ? '%' : '';
+            lines.push(...textLines(`- ${formatIndianNumber(discount)}${suffix}`, characterWidth, { ...options, className: 'calculation-subtract' }));
+        }
+
+        return { className: 'receipt-transaction-calculation', lines };
+    }
+
+    /**
+     * Transaction calculation v2: each step on its own row, operator on the left
+     * and operand on the right, in a right-hand block 78% of the line wide
+     * With show_finalizing_ops, finalizing operations (=, %, GT, M+, M-) print as
+     * sub-result rows with rules above and below (top and bottom borders in the
+     * preview); a step without an operand shows the result CalculationTape works out.
+     * A step whose operand isn't a number prints "?" instead and is warned about
+     * and returned as a block warning. With verify_calculation, readable steps are
+     * first evaluated with CalculationTape; a result that doesn't match is warned
+     * about and returned as a block warning too
+     */
+    function layoutTransactionCalculationV2(element, data, characterWidth) {
+        const warnings = [];
+        const allSteps = getCalculationSteps(data);
+        const check = getCalculationTape().checkSteps(allSteps);
+        const unreadable = new Set(check.errors.map(error => allSteps[error.step]));
+        check.errors.forEach(error => {
+            console.warn(`Calculation step can't be read: ${error.message}`);
+            warnings.push(error.message);
+        });
+        if (element.verify_calculation && check.valid) {
+            try {
+                getCalculationTape().evaluate(allSteps);
+            } catch (error) {
+                console.warn(`Calculation doesn't add up: ${error.message}`);
+                warnings.push(error.message);
+            }
+        }
+
+        const steps = element.show_finalizing_ops ? getCalculationResultSteps(data) : getCalculationDisplaySteps(data);
+        const stepWidth = Math.floor(characterWidth * 0.78);
+        const operatorWidth = Math.max(1, ...steps.map(step => String(step.operator || '').length));
+        const stepRow = (operator, step, className, weight) => rowLine([
+            { text: operator, width: operatorWidth, align: 'LEFT', className: 'calculation-operator' },
+            { text: unreadable.has(step) ? '?' : String(step.operand || ''), width: stepWidth - operatorWidth - 1, align: 'RIGHT', className: 'calculation-operand' }
+        ], { align: 'RIGHT', className, weight });
+        const rule = ruleLine(stepWidth, { align: 'RIGHT' });
+
+        const lines = [];
+        steps.forEach((step, index) => {
+            if (!isFinalizingStep(step)) {
+                // First step doesn't show operator, only operand
+                lines.push(stepRow(index === 0 ? '' : String(step.operator || ''), step, 'calculation-step'));
+                return;
+            }
+            // Back-to-back results share the rule between them
+            if (lines.length === 0 || lines[lines.length - 1].kind !== 'rule') {
+                lines.push(rule);
+            }
+            lines.push(stepRow(String(step.operator || ''), step, 'calculation-step calculation-step-final', 'BOLD'), rule);
+        });
+
+        return warnings.length > 0
+            ? { className: 'receipt-transaction-calculation-v2', lines, warnings }
+            : { className: 'receipt-transaction-calculation-v2', lines };
+    }
+
+    /**
+     * Get the calculation steps shown by transaction_calculation_v2
+     * Drops finalizing operations (=, %, GT, M+, M-) from getCalculationSteps
+     * @param {object} data - Data object
+     * @returns {Array<object>} Steps with operator and operand
+     */
+    function getCalculationDisplaySteps(data) {
+        return getCalculationSteps(data).filter(step => !isFinalizingStep(step));
+    }
+
+    /**
+     * Calculation steps with finalizing operations kept; those without an
+     * operand get the result CalculationTape works out (when the steps evaluate)
+     */
+    function getCalculationResultSteps(data) {
+        const steps = getCalculationSteps(data);
+        if (!steps.some(step => isFinalizingStep(step) && !step.operand)) return steps;
+
+        let evaluated = null;
+        try {
+            evaluated = getCalculationTape().evaluate(steps, { verify: false }).steps;
+        } catch (_error) {
+            return steps;
+        }
+        return steps.map((step, index) => (isFinalizingStep(step) && !step.operand
+            ? { ...step, operand: evaluated[index].operand }
+            : step));
+    }
+
+    function isFinalizingStep(step) {
+        return step.isFinal === true || FINALIZING_OPS.includes(step.operator || '');
+    }
+
+    /**
+     * Get the calculation steps from the data, or steps generated from items
+     * (rate x qty, + for each further item) and discount when data has none
+     * @param {object} data - Data object
+     * @returns {Array<object>} Steps with operator and operand
+     */
+    function getCalculationSteps(data) {
+        const steps = (data.calculation_steps || []).slice();
+
+        // If no steps provided, generate from items (backward compatibility)
+        if (steps.length === 0 && data.items && data.items.length > 0) {
+            data.items.forEach((item, index) => {
+                steps.push({ operator: index === 0 ? 'x' : '+', operand: formatIndianNumber(item.rate || 0) });
+                steps.push({ operator: 'x', operand: formatIndianNumber(item.qty || 0) });
+            });
+
+            const discount = data.discount || 0;
+            if (discount > 0) {
+                const suffix = isPercentDiscount(data) ? '%' : '';
+                steps.push({ operator: '-', operand: formatIndianNumber(discount) + suffix });
+            }
+
+            // Don't add final result here - it will be shown in total_amount_row_simple
+        }
+
+        return steps;
+    }
+
+    function layoutItemHeaderRow(element, data, characterWidth, { labels }) {
+        const columns = getItemColumns(element, data, characterWidth, labels);
+        const line = itemRow(columns, columns.map(column => column.header || ''), 'item-header-row');
+        line.weight = 'BOLD';
+
+        return { className: 'receipt-item-header-row', lines: [line] };
+    }
+
+    function layoutBillItems(element, data, characterWidth, { labels, dates }) {
+        const columns = getItemColumns(element, data, characterWidth, labels);
+        const items = getNestedValue(data, element.source || 'items') || [];
+        const lines = [];
+        items.forEach((item, index) => {
+            const row = { ...item, slNo: item.slNo !== undefined ? item.slNo : index + 1 };
+            lines.push(...itemLines(element, columns, columns.map(column => itemCellText(column, row, dates)), characterWidth));
+        });
+
+        return { className: 'receipt-bill-items', lines };
+    }
+
+    /**
+     * Built-in item table (# / Item / Qty / Price / Amount), used when the
+     * element has no `columns`
+     * @param {number} characterWidth - Characters per printer line
+     * @param {object} labels - Locale labels for the headers
+     * @returns {Array<object>} Column definitions
+     */
+    function getDefaultItemColumns(characterWidth, labels) {
+        const wide = characterWidth >= 48;
+        return [
+            { field: 'slNo', header: labels.item_sno, width: wide ? 3 : 2, className: 'item-sno' },
+            { field: 'name', header: labels.item_name, flex: 1, format: `default:"${labels.item_name}"`, className: 'item-name' },
+            { field: 'qty', header: labels.item_qty, width: wide ? 4 : 3, align: 'RIGHT', format: 'default:0', className: 'item-qty' },
+            { field: 'rate', header: labels.item_rate, width: wide ? 10 : 8, align: 'RIGHT', format: 'default:0 | number', className: 'item-price' },
+            { field: 'amount', header: labels.item_amount, width: wide ? 11 : 8, align: 'RIGHT', format: 'default:0 | number', className: 'item-amount' }
+        ];
+    }
+
+    /**
+     * Resolve the item table columns for a line width
+     * Columns come from element.columns (or the built-in table):
+     *   { field, header, width | flex, align, format, when, className }
+     * Fixed-width columns keep their width; flex columns (the default when no
+     * width is given) share what is left of the line by weight. Columns are
+     * separated by a single space. Columns whose `when` is false are dropped,
+     * as is the slNo column when show_serial_no is false.
+     * @param {object} element - item_header_row or bill_items element
+     * @param {object} data - Data object
+     * @param {number} characterWidth - Characters per printer line
+     * @param {object} labels - Locale labels (headers of the built-in table)
+     * @returns {Array<object>} Columns with a resolved character width
+     */
+    function getItemColumns(element, data, characterWidth, labels) {
+        const columns = (element.columns || getDefaultItemColumns(characterWidth, labels)).filter(column => {
+            if (column.field === 'slNo' && !showSerialNo(element, data)) return false;
+            return column.when === undefined || evaluateCondition(column.when, data);
+        });
+
+        const flexOf = (column) => (column.width ? 0 : column.flex || 1);
+        const fixed = columns.reduce((sum, column) => sum + (flexOf(column) ? 0 : column.width), 0);
+        let free = characterWidth - fixed - (columns.length - 1);
+        if (free < 0) {
+            console.warn(`Item columns need ${characterWidth - free} characters, line has ${characterWidth}`);
+            free = 0;
+        }
+
+        let flexLeft = columns.reduce((sum, column) => sum + flexOf(column), 0);
+        return columns.map(column => {
+            const flex = flexOf(column);
+            let width = column.width;
+            if (flex) {
+                width = Math.floor(free * flex / flexLeft);
+                free -= width;
+                flexLeft -= flex;
+            }
+            return {
+                ...column,
+                width,
+                align: column.align || 'LEFT',
+                className: column.className || `item-${String(column.field).replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}`
+            };
+        });
+    }
+
+    /**
+     * Whether the item table shows serial numbers: the element's show_serial_no
+     * (boolean or when-style condition), shown by default
+     */
+    function showSerialNo(element, data) {
+        return element.show_serial_no === undefined || evaluateCondition(element.show_serial_no, data);
+    }
+
+    /**
+     * Text of one item cell: the item's field run through the column's formatter pipes
+     * (same names as ${} variables, e.g. "number", "default:0 | number", "upper")
+     */
+    function itemCellText(column, item, dates) {
+        const expression = column.format ? `${column.field} | ${column.format}` : column.field;
+        const value = resolveVariable(expression, item, dates);
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * Lay out one item as one or more rows, following the element's name_wrap:
+     *   TRUNCATE (default) - one row, the name cut to its column
+     *   WRAP  - the name continues on extra rows under the Item column; columns
+     *           after it sit on the FIRST or LAST of them (numbers_line), columns
+     *           before it (e.g. #) on the first
+     *   ABOVE - the name on full-width lines above a row with the other cells
+     * @param {object} element - bill_items element
+     * @param {Array<object>} columns - Resolved item columns
+     * @param {Array<string>} texts - Cell texts, one per column
+     * @param {number} characterWidth - Characters per printer line
+     * @returns {Array<object>} Row lines (and text lines for ABOVE)
+     */
+    function itemLines(element, columns, texts, characterWidth) {
+        const mode = String(element.name_wrap || 'TRUNCATE').toUpperCase();
+        const nameIndex = columns.findIndex(column => column.field === 'name');
+        if (nameIndex === -1 || (mode !== 'WRAP' && mode !== 'ABOVE')) {
+            return [itemRow(columns, texts, 'bill-item-row')];
+        }
+
+        const name = texts[nameIndex];
+        const numbers = texts.map((text, index) => (index === nameIndex ? '' : text));
+        if (mode === 'ABOVE') {
+            return [
+                ...textLines(name, characterWidth, { className: 'bill-item-row item-name-line' }),
+                itemRow(columns, numbers, 'bill-item-row item-continued')
+            ];
+        }
+
+        const chunks = wrapWords(name, columns[nameIndex].width);
+        const numbersAt = String(element.numbers_line || 'FIRST').toUpperCase() === 'LAST' ? chunks.length - 1 : 0;
+        return chunks.map((chunk, lineIndex) => {
+            const cells = numbers.map((text, index) => {
+                const onLine = index < nameIndex ? lineIndex === 0 : lineIndex === numbersAt;
+                return onLine ? text : '';
+            });
+            cells[nameIndex] = chunk;
+            return itemRow(columns, cells, lineIndex === 0 ? 'bill-item-row' : 'bill-item-row item-continued');
+        });
+    }
+
+    /**
+     * Wrap text at word boundaries, breaking words longer than the width
+     * instead of cutting them
+     */
+    function wrapWords(text, width) {
+        if (width < 1) return [text];
+        const pieces = text.split(' ').flatMap(word => {
+            const chunks = [];
+            let rest = word;
+            while (textWidth(rest) > width) {
+                chunks.push(fitText(rest, width));
+                rest = rest.substring(chunks[chunks.length - 1].length);
+            }
+            return [...chunks, rest];
+        });
+        return wrapText(pieces.join(' '), width);
+    }
+
+    function itemRow(columns, texts, className) {
+        return rowLine(columns.map((column, index) => ({
+            text: texts[index],
+            width: column.width,
+            align: column.align,
+            className: column.className
+        })).filter(cell => cell.width > 0), { className });
+    }
+
+    function layoutTotalQtyItemsRow(_element, data, characterWidth, { labels }) {
+        const items = data.items || [];
+        const totalQty = items.reduce((sum, item) => sum + (item.qty || 0), 0);
+
+        return {
+            className: 'receipt-total-qty-items-row',
+            lines: [
+                ruleLine(characterWidth),
+                ...spreadLines(getLocales().format(labels.total_items, { count: items.length }), getLocales().format(labels.total_qty, { qty: totalQty }), characterWidth, { className: 'total-row' }),
+                ruleLine(characterWidth)
+            ]
+        };
+    }
+
+    /**
+     * Subtotal, discount, taxes and total from the data
+     * With verify_totals, the printed numbers are first checked against
+     * ReceiptTotals; mismatches are warned about and returned as block warnings
+     */
+    function layoutTotalAmountRow(element, data, characterWidth, { labels }) {
+        const warnings = [];
+        if (element.verify_totals) {
+            getTotals().verify(data).errors.forEach(error => {
+                console.warn(`Totals don't add up: ${error.message}`);
+                warnings.push(error.message);
+            });
+        }
+
+        const subtotal = data.subtotal || 0;
+        const discount = data.discount || 0;
+        const tax = data.tax || {};
+
+        const lines = spreadLines(labels.subtotal, formatCurrency(subtotal), characterWidth, { className: 'total-row' });
+
+        if (discount > 0) {
+            if (isPercentDiscount(data)) {
+                // Show percentage in label, discount amount in rupees
+                lines.push(...spreadLines(getLocales().format(labels.discount_percent, { rate: discount }), formatCurrency((subtotal * discount) / 100), characterWidth, { className: 'total-row' }));
+            } else {
+                lines.push(...spreadLines(labels.discount_amount, formatCurrency(discount), characterWidth, { className: 'total-row' }));
+            }
+        }
+
+        ['cgst', 'sgst', 'igst'].forEach(key => {
+            if (tax[key] && tax[key].amount > 0) {
+                // Rate is null when items are taxed at different rates
+                const rate = tax[key].rate !== undefined && tax[key].rate !== null ? ` @ ${tax[key].rate}%` : '';
+                lines.push(...spreadLines(`${labels[key]}${rate}:`, formatCurrency(tax[key].amount), characterWidth, { className: 'total-row' }));
+            }
+        });
+
+        lines.push(...totalLines(data, characterWidth, labels));
+
+        return warnings.length > 0
+            ? { className: 'receipt-total-amount-row', lines, warnings }
+            : { className: 'receipt-total-amount-row', lines };
+    }
+
+    /**
+     * Simple total amount row (only shows total, no subtotal/discount/tax)
+     * Used for transaction v2 receipts
+     */
+    function layoutTotalAmountRowSimple(_element, data, characterWidth, { labels }) {
+        return { className: 'receipt-total-amount-row', lines: totalLines(data, characterWidth, labels) };
+    }
+
+    /**
+     * GST summary by HSN/SAC code and rate (see ReceiptTotals.summarizeTax)
+     * Each group takes two rows so amounts keep their full width on 32 columns:
+     *   HSN/SAC              Rate   Taxable
+     *          CGST        SGST   Total Tax     (IGST on inter-state bills)
+     * followed by a Total group
+     */
+    function layoutTaxSummary(_element, data, characterWidth, { labels }) {
+        const summary = getTotals().summarizeTax(data);
+        const amount = Math.floor((characterWidth - 2) / 3);
+        const taxable = amount + 2;
+        const rate = 5;
+        const hsn = characterWidth - rate - taxable - 2;
+        const amountWidths = [characterWidth - 2 - amount * 2, amount, amount];
+
+        const firstRow = (texts, className, weight) => rowLine([
+            { text: texts[0], width: hsn, align: 'LEFT', className: 'tax-hsn' },
+            { text: texts[1], width: rate, align: 'RIGHT', className: 'tax-rate' },
+            { text: texts[2], width: taxable, align: 'RIGHT', className: 'tax-taxable' }
+        ], { className, weight });
+        const secondRow = (texts, className, weight) => rowLine(texts.map((text, index) => ({
+            text, width: amountWidths[index], align: 'RIGHT', className: 'tax-amount'
+        })), { className, weight });
+
+        const taxHeaders = summary.interState
+            ? ['', labels.igst, labels.total_tax]
+            : [labels.cgst, labels.sgst, labels.total_tax];
+        const taxValues = (group) => (summary.interState
+            ? ['', formatIndianNumber(group.igst), formatIndianNumber(group.tax)]
+            : [formatIndianNumber(group.cgst), formatIndianNumber(group.sgst), formatIndianNumber(group.tax)]);
+
+        const lines = [
+            ruleLine(characterWidth),
+            firstRow([labels.hsn_sac, labels.rate, labels.taxable], 'tax-summary-header', 'BOLD'),
+            secondRow(taxHeaders, 'tax-summary-header tax-summary-header-last', 'BOLD'),
+            ruleLine(characterWidth)
+        ];
+        summary.groups.forEach(group => {
+            lines.push(
+                firstRow([group.hsn || '-', `${group.rate}%`, formatIndianNumber(group.taxable)], 'tax-summary-row'),
+                secondRow(taxValues(group), 'tax-summary-row tax-summary-row-last')
+            );
+        });
+        lines.push(
+            ruleLine(characterWidth),
+            firstRow([labels.summary_total, '', formatIndianNumber(summary.total.taxable)], 'tax-summary-total tax-summary-total-first', 'BOLD'),
+            secondRow(taxValues(summary.total), 'tax-summary-total', 'BOLD'),
+            ruleLine(characterWidth)
+        );
+
+        return { className: 'receipt-tax-summary', lines };
+    }
+
+    /**
+     * Cash settlement under the totals: Round Off, Net Payable, Tendered, Change
+     * Hidden unless payment_type is cash. Round Off prints when data has
+     * round_off, Tendered and Change when it has amount_tendered; change_due
+     * defaults to amount_tendered - total. Tendering less than the total is
+     * returned as a block warning.
+     */
+    function layoutPaymentSummary(_element, data, characterWidth, { labels }) {
+        const paymentType = data.payment_type || data.paymentType || 'Cash';
+        if (String(paymentType).toLowerCase() !== 'cash') {
+            return { className: 'receipt-payment-summary', lines: [], hidden: true };
+        }
+
+        const toPaise = getTotals().toPaise;
+        const total = toPaise(data.total || 0);
+        const warnings = [];
+        const lines = [];
+
+        if (data.round_off !== undefined && data.round_off !== null) {
+            const roundOff = toPaise(data.round_off);
+            const sign = roundOff < 0 ? '-' : '+';
+            lines.push(...spreadLines(labels.round_off, `${sign}${formatCurrency(Math.abs(roundOff) / 100)}`, characterWidth, { className: 'payment-row payment-round-off' }));
+        }
+        lines.push(...spreadLines(labels.net_payable, formatCurrency(total / 100), characterWidth, { className: 'payment-row payment-net', weight: 'BOLD' }));
+
+        if (data.amount_tendered !== undefined && data.amount_tendered !== null) {
+            const tendered = toPaise(data.amount_tendered);
+            const change = data.change_due !== undefined && data.change_due !== null
+                ? toPaise(data.change_due)
+                : Math.max(tendered - total, 0);
+            if (tendered < total) {
+                const message = `Tendered ${formatCurrency(tendered / 100)} is less than net payable ${formatCurrency(total / 100)}`;
+                console.warn(message);
+                warnings.push(message);
+            }
+            lines.push(
+                ...spreadLines(labels.tendered, formatCurrency(tendered / 100), characterWidth, { className: 'payment-row payment-tendered' }),
+                ...spreadLines(labels.change, formatCurrency(change / 100), characterWidth, { className: 'payment-row payment-change', weight: 'BOLD' })
+            );
+        }
+        lines.push(ruleLine(characterWidth));
+
+        return warnings.length > 0
+            ? { className: 'receipt-payment-summary', lines, warnings }
+            : { className: 'receipt-payment-summary', lines };
+    }
+
+    /**
+     * Tenders of a split payment (data.payments), one row per mode and amount,
+     * with the UTR/reference and card last four digits under it, then the
+     * amount paid. Hidden when there are no payments. Tenders that don't add up
+     * to the total (ReceiptTotals.verifyPayments) are warned about and
+     * returned as block warnings.
+     */
+    function layoutPaymentBreakup(_element, data, characterWidth, { labels }) {
+        const payments = data.payments || [];
+        if (payments.length === 0) {
+            return { className: 'receipt-payment-breakup', lines: [], hidden: true };
+        }
+
+        const warnings = [];
+        const check = getTotals().verifyPayments(data);
+        check.errors.forEach(error => {
+            console.warn(`Payments don't add up: ${error.message}`);
+            warnings.push(error.message);
+        });
+
+        const lines = [...textLines(labels.payments, characterWidth, { weight: 'BOLD', className: 'payment-breakup-title' })];
+        payments.forEach(payment => {
+            const mode = String(payment.mode || '');
+            const label = mode ? getLocales().translate(labels.payment_modes, mode) : labels.other_mode;
+            const cardDigits = payment.card_last4 ? ` ****${String(payment.card_last4).slice(-4)}` : '';
+            lines.push(...spreadLines(`${label}${cardDigits}`, formatCurrency(payment.amount || 0), characterWidth, { className: 'payment-tender' }));
+            if (payment.reference) {
+                const referenceLabel = mode.toLowerCase() === 'upi' ? labels.utr : labels.reference;
+                lines.push(...textLines(`  ${referenceLabel}: ${payment.reference}`, characterWidth, { size: 'SMALL', className: 'payment-reference' }));
+            }
+        });
+        lines.push(...spreadLines(labels.total_paid, formatCurrency(check.paid), characterWidth, { className: 'payment-tender payment-paid', weight: 'BOLD' }));
+        lines.push(ruleLine(characterWidth));
+
+        return warnings.length > 0
+            ? { className: 'receipt-payment-breakup', lines, warnings }
+            : { className: 'receipt-payment-breakup', lines };
+    }
+
+    /**
+     * Customer ledger for due/credit bills (see ReceiptTotals.calculateDue):
+     * Previous Balance, This Bill, Paid Now, then the balance due (or advance)
+     * and due_date while something is outstanding. A supplied
+     * outstanding_balance that doesn't match is warned about and returned as
+     * a block warning.
+     */
+    function layoutDueBalance(_element, data, characterWidth, { labels, dates }) {
+        const toPaise = getTotals().toPaise;
+        const due = getTotals().calculateDue(data);
+        const warnings = [];
+        if (data.outstanding_balance !== undefined && data.outstanding_balance !== null &&
+            toPaise(data.outstanding_balance) !== toPaise(due.outstanding)) {
+            const message = `outstanding_balance is ${data.outstanding_balance}, expected ${due.outstanding.toFixed(2)}`;
+            console.warn(`Due balance doesn't add up: ${message}`);
+            warnings.push(message);
+        }
+
+        const lines = spreadLines(labels.previous_balance, formatCurrency(due.previous_balance), characterWidth, { className: 'due-row due-previous' });
+        if (due.bill_amount !== 0) {
+            lines.push(...spreadLines(labels.this_bill, formatCurrency(due.bill_amount), characterWidth, { className: 'due-row due-bill' }));
+        }
+        if (due.paid !== 0) {
+            lines.push(...spreadLines(labels.paid_now, `-${formatCurrency(due.paid)}`, characterWidth, { className: 'due-row due-paid' }));
+        }
+        lines.push(
+            ruleLine(characterWidth),
+            ...spreadLines(due.outstanding < 0 ? labels.advance : labels.balance_due, formatCurrency(Math.abs(due.outstanding)), characterWidth, {
+                className: 'due-row due-outstanding',
+                weight: 'BOLD',
+                tall: true
+            }),
+            ruleLine(characterWidth)
+        );
+        if (due.outstanding > 0 && data.due_date) {
+            lines.push(...spreadLines(labels.due_date, formatDatePattern(data.due_date, dates.dateFormat, dates.timeZone), characterWidth, { className: 'due-row due-date' }));
+        }
+
+        return warnings.length > 0
+            ? { className: 'receipt-due-balance', lines, warnings }
+            : { className: 'receipt-due-balance', lines };
+    }
+
+    function totalLines(data, characterWidth, labels) {
+        return [
+            ruleLine(characterWidth),
+            ...spreadLines(labels.total, formatCurrency(data.total || 0), characterWidth, {
+                className: 'total-row total-final',
+                weight: 'BOLD',
+                tall: true
+            }),
+            ruleLine(characterWidth)
+        ];
+    }
+
+    function layoutFooterMessage(_element, _data, characterWidth, { labels }) {
+        return {
+            className: 'receipt-footer-message',
+            lines: [
+                ...textLines(labels.footer, characterWidth, { align: 'CENTER', size: 'SMALL' }),
+                ruleLine(characterWidth)
+            ]
+        };
+    }
+
+    function layoutQRCode(element, data, characterWidth, { dates }) {
+        const qrData = element.value ? replaceVariables(element.value, data, dates) : data.qr_data || '';
+        const line = {
+            kind: 'qr',
+            data: String(qrData),
+            size: element.size || 'MEDIUM',
+            errorCorrection: element.error_correction || 'M',
+            align: element.alignment || 'CENTER'
+        };
+        line.moduleSize = getQRModuleSize(line.size);
+
+        try {
+            line.bitmap = qrToBitmap(getQREncoder().encode(line.data, line.errorCorrection),
+                line.moduleSize, getPaperDots(characterWidth), line.align);
+        } catch (error) {
+            console.warn(`Could not encode QR code: ${error.message}`);
+        }
+
+        return {
+            className: 'receipt-qr-code',
+            lines: [line]
+        };
+    }
+
+    function layoutBarcode(element, data, characterWidth, { dates }) {
+        const value = element.value ? replaceVariables(element.value, data, dates) : data.bill_number || '';
+        const paperDots = getPaperDots(characterWidth);
+        const line = {
+            kind: 'barcode',
+            data: String(value),
+            symbology: getBarcodeEncoder().normalizeSymbology(element.symbology),
+            height: Math.min(255, Math.max(1, element.height || 80)),
+            moduleWidth: Math.min(6, Math.max(1, element.module_width || 2)),
+            hri: element.hri || 'BELOW',
+            align: element.alignment || 'CENTER',
+            paperDots
+        };
+
+        try {
+            Object.assign(line, getBarcodeEncoder().encode(line.data, line.symbology));
+            // Narrow the bars if the symbol would be wider than the paper
+            line.moduleWidth = Math.max(1, Math.min(line.moduleWidth, Math.floor(paperDots / line.modules.length)));
+        } catch (error) {
+            console.warn(`Could not encode barcode: ${error.message}`);
+        }
+
+        return {
+            className: 'receipt-barcode',
+            lines: [line]
+        };
+    }
+
+    /**
+     * Dots per QR module for a template size (the GS ( k module size)
+     * @param {string} size - SMALL, MEDIUM or LARGE
+     * @returns {number} Module size in dots
+     */
+    function getQRModuleSize(size) {
+        return QR_MODULE_SIZES[size] || QR_MODULE_SIZES.MEDIUM;
+    }
+
+    /**
+     * Draw a QR symbol into a paper-wide bitmap, aligned like the printer aligns it
+     * Modules shrink if the symbol would be wider than the paper
+     */
+    function qrToBitmap(symbol, moduleSize, paperDots, align) {
+        const scale = Math.max(1, Math.min(moduleSize, Math.floor(paperDots / symbol.size)));
+        const symbolDots = symbol.size * scale;
+        const offsets = { LEFT: 0, CENTER: Math.floor((paperDots - symbolDots) / 2), RIGHT: paperDots - symbolDots };
+        const left = Math.max(0, offsets[align] !== undefined ? offsets[align] : offsets.CENTER);
+
+        const imageCore = getImageCore();
+        const bitmap = imageCore.createBitmap(Math.max(paperDots, symbolDots), symbolDots);
+        symbol.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (!dark) return;
+                for (let dy = 0; dy < scale; dy++) {
+                    for (let dx = 0; dx < scale; dx++) {
+                        imageCore.setDot(bitmap, left + x * scale + dx, y * scale + dy);
+                    }
+                }
+            });
+        });
+        return bitmap;
+    }
+
+    function layoutCutPaper(_element, _data, _characterWidth) {
+        // The cut itself is issued by the printer output after the last element
+        return { className: 'receipt-cut-paper', lines: [] };
+    }
+
+    /**
+     * Build wrapped text lines
+     * @param {string} text - Text to wrap
+     * @param {number} characterWidth - Characters per printer line
+     * @param {object} options - align, size, weight, className
+     * @returns {Array<object>} Text lines
+     */
+    function textLines(text, characterWidth, options = {}) {
+        return wrapText(text, characterWidth).map(line => ({
+            kind: 'text',
+            text: line,
+            align: options.align || 'LEFT',
+            size: options.size || 'NORMAL',
+            weight: options.weight || 'NORMAL',
+            className: options.className || ''
+        }));
+    }
+
+    /**
+     * Build a row line from cells
+     * @param {Array<object>} cells - Cells with text, width, align and className
+     * @param {object} options - align, size, weight, tall, className
+     * @returns {object} Row line
+     */
+    function rowLine(cells, options = {}) {
+        const fitted = cells.map(cell => ({
+            text: fitText(cell.text, cell.width),
+            width: cell.width,
+            align: cell.align || 'LEFT',
+            className: cell.className || ''
+        }));
+
+        return {
+            kind: 'row',
+            cells: fitted,
+            width: fitted.reduce((sum, cell) => sum + cell.width, 0) + fitted.length - 1,
+            align: options.align || 'LEFT',
+            size: options.size || 'NORMAL',
+            weight: options.weight || 'NORMAL',
+            tall: options.tall === true,
+            className: options.className || ''
+        };
+    }
+
+    /**
+     * Put left text and right text on one row, falling back to two lines
+     * when they don't fit side by side (e.g. Date/Time on 32 columns)
+     * @returns {Array<object>} One row line or two text lines
+     */
+    function spreadLines(left, right, characterWidth, options = {}) {
+        if (textWidth(left) + textWidth(right) + 1 <= characterWidth) {
+            return [rowLine([
+                { text: left, width: textWidth(left), align: 'LEFT', className: options.leftClassName },
+                { text: right, width: characterWidth - textWidth(left) - 1, align: 'RIGHT', className: options.rightClassName }
+            ], options)];
+        }
+        return [
+            ...textLines(left, characterWidth, { weight: options.weight, className: options.leftClassName }),
+            ...textLines(right, characterWidth, { align: 'RIGHT', weight: options.weight, className: options.rightClassName })
+        ];
+    }
+
+    function ruleLine(length, options = {}) {
+        return { kind: 'rule', char: '-', length, align: options.align || 'CENTER' };
+    }
+
+    /**
+     * Convert a layout line to its fixed-width text
+     * @param {object} line - Layout line
+     * @param {number} characterWidth - Characters per printer line
+     * @returns {string} Line text padded to alignment
+     */
+    function lineToText(line, characterWidth) {
+        switch (line.kind) {
+            case 'text':
+                return alignText(line.text, line.align, characterWidth);
+            case 'row':
+                return alignText(rowToText(line), line.align, characterWidth);
+            case 'rule':
+                return alignText(line.char.repeat(line.length), line.align || 'CENTER', characterWidth);
+            case 'image':
+                return alignText(`[${line.label}]`, 'CENTER', characterWidth);
+            case 'qr':
+                return alignText(placeholderText('QR', line.data, characterWidth), 'CENTER', characterWidth);
+            case 'barcode':
+                return alignText(placeholderText(line.symbology, line.text || line.data, characterWidth), line.align, characterWidth);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * "[QR: data]" stand-in for a symbol; a payload too long for the line is
+     * shortened inside the brackets ("[QR: upi://pay?pa=mercha...]")
+     */
+    function placeholderText(label, data, characterWidth) {
+        const text = `[${label}: ${data}]`;
+        if (textWidth(text) <= characterWidth) return text;
+        const room = Math.max(0, characterWidth - textWidth(`[${label}: ...]`));
+        return `[${label}: ${fitText(data, room)}...]`;
+    }
+
+    /**
+     * Join row cells into one string, each cell padded to its width
+     * Trailing padding is kept for right-aligned and centred rows, so an empty
+     * last cell (a tape step without a result) keeps the columns in place
+     */
+    function rowToText(line) {
+        const text = line.cells.map(cell => {
+            const padding = ' '.repeat(Math.max(0, cell.width - textWidth(cell.text)));
+            return cell.align === 'RIGHT' ? padding + cell.text : cell.text + padding;
+        }).join(' ');
+        return line.align === 'RIGHT' || line.align === 'CENTER' ? text : text.replace(/\s+$/, '');
+    }
+
+    /**
+     * Render layout as plain text
+     * @param {object} layout - Layout model
+     * @returns {string} Receipt text, one printer line per text line
+     */
+    function toPlainText(layout) {
+        const lines = [];
+        layout.blocks.forEach(block => {
+            block.lines.forEach(line => {
+                lines.push(lineToText(line, layout.characterWidth).replace(/\s+$/, ''));
+            });
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Replace variables in template with data (${variable} syntax)
+     * Supports dotted/indexed paths and formatter pipes:
+     *   ${tax.cgst.amount}, ${items.0.name}, ${items[0].name}
+     *   ${total | currency}, ${bill_date | date:"DD/MM/YYYY"}, ${customer_name | upper | truncate:20}
+     * Variables with no value are left as written
+     * @param {string} text - Text with ${variables}
+     * @param {object} data - Data object
+     * @param {object} dates - { dateFormat, timeFormat, timeZone } for the date and time pipes
+     * @returns {string} Text with replaced values
+     */
+    function replaceVariables(text, data, dates = DATE_DEFAULTS) {
+        if (!text || typeof text !== 'string') return text;
+
+        return text.replace(/\$\{([^}]+)\}/g, (match, expression) => {
+            const value = resolveVariable(expression, data, dates);
+            return value !== undefined && value !== null ? String(value) : match;
+        });
+    }
+
+    /**
+     * Look up a variable expression's value and run it through its formatters
+     * @param {string} expression - Text inside ${}, e.g. 'total | currency'
+     * @param {object} data - Data object
+     * @param {object} dates - Date settings for the date and time pipes
+     * @returns {*} Value (undefined when missing)
+     */
+    function resolveVariable(expression, data, dates = DATE_DEFAULTS) {
+        const { path, formatters } = parseVariable(expression);
+        let value = getNestedValue(data, path);
+
+        formatters.forEach(({ name, args }) => {
+            const formatter = FORMATTERS[name];
+            if (!formatter) {
+                console.warn(`Unknown formatter "${name}" in \${${expression.trim()}}`);
+                return;
+            }
+            if (value !== undefined && value !== null || name === 'default') {
+                value = formatter(value, args, dates);
+            }
+        });
+
+        return value;
+    }
+
+    /**
+     * Split a variable expression into its path and formatter pipes
+     * A formatter's argument is everything after its first colon, so
+     * 'bill_date | time:HH:mm' passes the pattern "HH:mm"
+     * @param {string} expression - e.g. 'bill_date | date:"DD/MM/YYYY"'
+     * @returns {object} { path, formatters: [{ name, args }] } - args has at most one argument
+     */
+    function parseVariable(expression) {
+        // Split on pipes outside quotes, and each formatter on its first colon outside quotes
+        const parts = [[]];
+        let current = '';
+        let quote = null;
+
+        for (const char of expression) {
+            const part = parts[parts.length - 1];
+            if (quote) {
+                if (char === quote) quote = null;
+                else current += char;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '|' || (char === ':' && parts.length > 1 && part.length === 0)) {
+                part.push(current.trim());
+                if (char === '|') parts.push([]);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts[parts.length - 1].push(quote ? current : current.trim());
+
+        const [[path], ...pipes] = parts;
+        return {
+            path,
+            formatters: pipes.map(([name, ...args]) => ({ name, args }))
+        };
+    }
+
+    /**
+     * Get nested value from object using dot notation
+     * @param {object} obj - Object to search
+     * @param {string} path - Dot notation path (e.g., 'tax.cgst.amount', 'items.0.name', 'items[0].name')
+     * @returns {*} Value at path
+     */
+    function getNestedValue(obj, path) {
+        return path.replace(/\[(\d+)\]/g, '.$1').split('.').reduce((current, key) => current?.[key], obj);
+    }
+
+    /**
+     * Format a date with a pattern: DD, MM, MMM (Jan), YYYY, YY, HH (24h), hh (12h),
+     * mm, ss, A (AM/PM); text in single quotes prints as written ("hh:mm 'at' DD MMM")
+     * Timestamps with Z or an offset are shown in the time zone; ones without
+     * (and plain dates) print as written, whatever the host's time zone
+     * @param {string} dateString - ISO date string
+     * @param {string} pattern - Pattern (default DD/MM/YYYY)
+     * @param {string} timeZone - IANA time zone (default Asia/Kolkata)
+     * @returns {string} Formatted date (invalid dates are returned as given)
+     */
+    function formatDatePattern(dateString, pattern = DATE_DEFAULTS.dateFormat, timeZone = DATE_DEFAULTS.timeZone) {
+        if (!dateString) return '';
+        const parts = getDateParts(dateString, timeZone);
+        if (!parts) return dateString;
+
+        const pad = (value) => String(value).padStart(2, '0');
+        const tokens = {
+            YYYY: String(parts.year),
+            YY: String(parts.year).slice(-2),
+            MMM: MONTH_NAMES[parts.month - 1],
+            MM: pad(parts.month),
+            DD: pad(parts.day),
+            HH: pad(parts.hour),
+            hh: pad(parts.hour % 12 || 12),
+            mm: pad(parts.minute),
+            ss: pad(parts.second),
+            A: parts.hour >= 12 ? 'PM' : 'AM'
+        };
+
+        return pattern.replace(DATE_TOKENS, (token, literal) => (literal !== undefined ? literal : tokens[token]));
+    }
+
+    /**
+     * Format date from ISO string (DD/MM/YYYY)
+     */
+    function formatDate(dateString, timeZone) {
+        return formatDatePattern(dateString, DATE_DEFAULTS.dateFormat, timeZone);
+    }
+
+    /**
+     * Format time from ISO string (12-hour format with AM/PM)
+     */
+    function formatTime(dateString, timeZone) {
+        return formatDatePattern(dateString, DATE_DEFAULTS.timeFormat, timeZone);
+    }
+
+    /**
+     * Calendar date and wall-clock time of a date string in a time zone
+     * @returns {object|null} { year, month, day, hour, minute, second }, null when not a date
+     */
+    function getDateParts(dateString, timeZone) {
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) return null;
+
+        const local = LOCAL_DATE_TIME.exec(String(dateString).trim());
+        if (local) {
+            const [year, month, day, hour = 0, minute = 0, second = 0] = local.slice(1).map(part => Number(part || 0));
+            return { year, month, day, hour, minute, second };
+        }
+
+        const parts = {};
+        getZoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+        return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute, second: parts.second };
+    }
+
+    function getZoneFormatter(timeZone) {
+        if (!zoneFormatters[timeZone]) {
+            zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        return zoneFormatters[timeZone];
+    }
+
+    /**
+     * Date settings from receipt_template (or layoutElement options):
+     * date_format, time_format and timezone, with an unknown timezone warned
+     * about and replaced by the default
+     * @returns {object} { dateFormat, timeFormat, timeZone }
+     */
+    function getDateSettings(settings = {}) {
+        let timeZone = settings.timezone || DATE_DEFAULTS.timeZone;
+        try {
+            getZoneFormatter(timeZone);
+        } catch (_error) {
+            if (!warnedTimeZones.has(timeZone)) {
+                console.warn(`Unknown timezone "${timeZone}", using ${DATE_DEFAULTS.timeZone}`);
+                warnedTimeZones.add(timeZone);
+            }
+            timeZone = DATE_DEFAULTS.timeZone;
+        }
+        return {
+            dateFormat: settings.date_format || DATE_DEFAULTS.dateFormat,
+            timeFormat: settings.time_format || DATE_DEFAULTS.timeFormat,
+            timeZone
+        };
+    }
+
+    /**
+     * Format currency value (₹ with Indian numbering)
+     */
+    function formatCurrency(value) {
+        const number = formatIndianNumber(value);
+        return number === UNREADABLE_AMOUNT ? number : '₹' + number;
+    }
+
+    /**
+     * Format number with Indian numbering system (12,34,567.00)
+     * NaN and Infinity (e.g. "1e400", or a total worked out from one) would print
+     * as "NaN.undefined", so they are warned about and print as "?"
+     */
+    function formatIndianNumber(value) {
+        if (typeof value !== 'number') value = parseFloat(value) || 0;
+        if (!isFinite(value)) {
+            console.warn(`Cannot format ${value} as an amount, printing ${UNREADABLE_AMOUNT}`);
+            return UNREADABLE_AMOUNT;
+        }
+        const sign = value < 0 ? '-' : '';
+        const [integerPart, decimalPart] = Math.abs(value).toFixed(2).split('.');
+
+        // First 3 digits from the right, then groups of 2
+        const lastThree = integerPart.slice(-3);
+        const rest = integerPart.slice(0, -3);
+        const grouped = rest ? rest.replace(/\B(?=(\d{2})+(?!\d))/g, ',') + ',' + lastThree : lastThree;
+
+        return `${sign}${grouped}.${decimalPart}`;
+    }
+
+    function isPercentDiscount(data) {
+        const discountType = data.discount_type || data.discountType || 'amount';
+        return discountType === 'percentage' || discountType === 'percent';
+    }
+
+    /**
+     * Wrap text to fit within character width (word boundaries, long words cut)
+     * @param {string} text - Text to wrap
+     * @param {number} maxWidth - Maximum width in characters
+     * @returns {Array<string>} Wrapped lines
+     */
+    function wrapText(text, maxWidth) {
+        if (textWidth(text) <= maxWidth) {
+            return [text];
+        }
+
+        const lines = [];
+        let currentLine = '';
+
+        text.split(' ').forEach(word => {
+            const testLine = currentLine ? `${currentLine} ${word}` : word;
+            if (textWidth(testLine) <= maxWidth) {
+                currentLine = testLine;
+            } else {
+                if (currentLine) {
+                    lines.push(currentLine);
+                }
+                currentLine = fitText(word, maxWidth);
+            }
+        });
+
+        if (currentLine) {
+            lines.push(currentLine);
+        }
+
+        return lines.length > 0 ? lines : [fitText(text, maxWidth)];
+    }
+
+    /**
+     * Pad a single line to the given alignment within character width
+     */
+    function alignText(text, alignment, characterWidth) {
+        const gap = characterWidth - textWidth(text);
+        if (gap <= 0) return text;
+        if (alignment === 'CENTER') {
+            return ' '.repeat(Math.floor(gap / 2)) + text;
+        }
+        if (alignment === 'RIGHT') {
+            return ' '.repeat(gap) + text;
+        }
+        return text;
+    }
+
+    /**
+     * Cut text to a number of columns, keeping marks with their letter
+     */
+    function fitText(text, width) {
+        const value = text === undefined || text === null ? '' : String(text);
+        if (textWidth(value) <= width) return value;
+
+        let result = '';
+        let used = 0;
+        for (const char of value) {
+            if (!ZERO_WIDTH.test(char)) {
+                if (used === width) break;
+                used++;
+            }
+            result += char;
+        }
+        return result;
+    }
+
+    /**
+     * Columns text takes on the printer line: one per character, with
+     * combining marks (Indic vowel signs, viramas) in their letter's column
+     * @param {string} text - Text
+     * @returns {number} Width in characters
+     */
+    function textWidth(text) {
+        let width = 0;
+        for (const char of String(text)) {
+            if (!ZERO_WIDTH.test(char)) width++;
+        }
+        return width;
+    }
+
+    // Public API
+    return {
+        layoutTemplate,
+        layoutElement,
+        lineToText,
+        rowToText,
+        toPlainText,
+        getCalculationSteps,
+        getCalculationDisplaySteps,
+        getCalculationResultSteps,
+        getQRModuleSize,
+        replaceVariables,
+        evaluateCondition,
+        checkCondition,
+        parseVariable,
+        getNestedValue,
+        formatDate,
+        formatDatePattern,
+        formatTime,
+        formatCurrency,
+        formatIndianNumber,
+        wrapText,
+        alignText,
+        textWidth
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptLayout;
+}
@@ -0,0 +1,359 @@
+/**
+ * Receipt Locales - Label bundles for the built-in receipt elements
+ * Every label the layout core prints itself ("Bill No:", "TOTAL:", the footer,
+ * item table headers, payment mode names...) comes from a locale bundle, so
+ * the HTML preview, plain text and ESC/POS output print the same language
+ *
+ * Usage:
+ *   const labels = ReceiptLocales.getLabels('hi-IN');
+ *   labels.bill_no                                        // "बिल नं:"
+ *   ReceiptLocales.format(labels.total_items, { count: 3 }) // "कुल वस्तुएँ: 3"
+ *   ReceiptLocales.resolveLocale(template, { locale: 'kn-IN' })
+ *
+ * The locale is picked per render call (options.locale), then per template
+ * (receipt_template.locale), then en-IN. A bundle only needs the labels it
+ * translates; missing ones fall back to en-IN. Labels may hold {name}
+ * placeholders, filled in with format(). payment_modes and transaction_types
+ * translate data values (matched case-insensitively; others print as given).
+ */
+
+const ReceiptLocales = (() => {
+    const DEFAULT_LOCALE = 'en-IN';
+    // Devanagari through Malayalam (and Sinhala): scripts thermal printer fonts don't carry
+    const INDIC_SCRIPT = /[\u0900-\u0DFF]/;
+
+    const BUNDLES = {
+        'en-IN': {
+            name: 'English',
+            not_available: 'N/A',
+            logo: 'Logo/Image',
+            bill_no: 'Bill No:',
+            date: 'Date:',
+            time: 'Time:',
+            customer: 'Customer:',
+            mobile_no: 'Mobile No:',
+            type: 'Type:',
+            payment: 'Payment:',
+            cashier: 'Cashier:',
+            item_sno: '#',
+            item_name: 'Item',
+            item_qty: 'Qty',
+            item_rate: 'Price',
+            item_amount: 'Amount',
+            total_items: 'Total Items: {count}',
+            total_qty: 'Total Qty: {qty}',
+            subtotal: 'Subtotal:',
+            discount_percent: 'Discount -{rate}%:',
+            discount_amount: 'Discount (₹):',
+            cgst: 'CGST',
+            sgst: 'SGST',
+            igst: 'IGST',
+            total: 'TOTAL:',
+            hsn_sac: 'HSN/SAC',
+            rate: 'Rate',
+            taxable: 'Taxable',
+            total_tax: 'Total Tax',
+            summary_total: 'Total',
+            round_off: 'Round Off:',
+            net_payable: 'Net Payable:',
+            tendered: 'Tendered:',
+            change: 'Change:',
+            payments: 'Payments',
+            total_paid: 'Total Paid:',
+            utr: 'UTR',
+            reference: 'Ref',
+            other_mode: 'Other',
+            previous_balance: 'Previous Balance:',
+            this_bill: 'This Bill:',
+            paid_now: 'Paid Now:',
+            balance_due: 'BALANCE DUE:',
+            advance: 'ADVANCE:',
+            due_date: 'Due Date:',
+            footer: 'Thank you for shopping with us! Visit again',
+            payment_modes: {
+                cash: 'Cash',
+                upi: 'UPI',
+                card: 'Card',
+                due: 'Due',
+                bank_transfer: 'Bank Transfer',
+                split: 'Split'
+            },
+            transaction_types: {
+                sale: 'Sale',
+                return: 'Return',
+                refund: 'Refund'
+            }
+        },
+        'hi-IN': {
+            name: 'हिन्दी',
+            not_available: 'उपलब्ध नहीं',
+            logo: 'लोगो',
+            bill_no: 'बिल नं:',
+            date: 'दिनांक:',
+            time: 'समय:',
+            customer: 'ग्राहक:',
+            mobile_no: 'मोबाइल नं:',
+            type: 'प्रकार:',
+            payment: 'भुगतान:',
+            cashier: 'कैशियर:',
+            item_name: 'वस्तु',
+            item_qty: 'मात्रा',
+            item_rate: 'दर',
+            item_amount: 'राशि',
+            total_items: 'कुल वस्तुएँ: {count}',
+            total_qty: 'कुल मात्रा: {qty}',
+            subtotal: 'उप-योग:',
+            discount_percent: 'छूट -{rate}%:',
+            discount_amount: 'छूट (₹):',
+            total: 'कुल:',
+            rate: 'दर',
+            taxable: 'कर योग्य',
+            total_tax: 'कुल कर',
+            summary_total: 'कुल',
+            round_off: 'पूर्णांकन:',
+            net_payable: 'देय राशि:',
+            tendered: 'प्राप्त राशि:',
+            change: 'वापसी:',
+            payments: 'भुगतान',
+            total_paid: 'कुल भुगतान:',
+            reference: 'संदर्भ',
+            other_mode: 'अन्य',
+            previous_balance: 'पिछला बकाया:',
+            this_bill: 'यह बिल:',
+            paid_now: 'अभी भुगतान:',
+            balance_due: 'शेष देय:',
+            advance: 'अग्रिम:',
+            due_date: 'देय तिथि:',
+            footer: 'खरीदारी के लिए धन्यवाद! फिर पधारें',
+            payment_modes: {
+                cash: 'नकद',
+                card: 'कार्ड',
+                due: 'उधार',
+                bank_transfer: 'बैंक ट्रांसफर',
+                split: 'विभाजित'
+            },
+            transaction_types: {
+                sale: 'बिक्री',
+                return: 'वापसी',
+                refund: 'धनवापसी'
+            }
+        },
+        'kn-IN': {
+            name: 'ಕನ್ನಡ',
+            not_available: 'ಲಭ್ಯವಿಲ್ಲ',
+            logo: 'ಲೋಗೋ',
+            bill_no: 'ಬಿಲ್ ಸಂ:',
+            date: 'ದಿನಾಂಕ:',
+            time: 'ಸಮಯ:',
+            customer: 'ಗ್ರಾಹಕ:',
+            mobile_no: 'ಮೊಬೈಲ್ ಸಂ:',
+            type: 'ವಿಧ:',
+            payment: 'ಪಾವತಿ:',
+            cashier: 'ಕ್ಯಾಷಿಯರ್:',
+            item_name: 'ವಸ್ತು',
+            item_qty: 'ಪ್ರಮಾಣ',
+            item_rate: 'ದರ',
+            item_amount: 'ಮೊತ್ತ',
+            total_items: 'ಒಟ್ಟು ವಸ್ತುಗಳು: {count}',
+            total_qty: 'ಒಟ್ಟು ಪ್ರಮಾಣ: {qty}',
+            subtotal: 'ಉಪ ಮೊತ್ತ:',
+            discount_percent: 'ರಿಯಾಯಿತಿ -{rate}%:',
+            discount_amount: 'ರಿಯಾಯಿತಿ (₹):',
+            total: 'ಒಟ್ಟು:',
+            rate: 'ದರ',
+            taxable: 'ತೆರಿಗೆ ಮೌಲ್ಯ',
+            total_tax: 'ಒಟ್ಟು ತೆರಿಗೆ',
+            summary_total: 'ಒಟ್ಟು',
+            round_off: 'ಪೂರ್ಣಾಂಕ:',
+            net_payable: 'ಪಾವತಿಸಬೇಕಾದದ್ದು:',
+            tendered: 'ನೀಡಿದ ಮೊತ್ತ:',
+            change: 'ಚಿಲ್ಲರೆ:',
+            payments: 'ಪಾವತಿಗಳು',
+            total_paid: 'ಒಟ್ಟು ಪಾವತಿ:',
+            reference: 'ಉಲ್ಲೇಖ',
+            other_mode: 'ಇತರೆ',
+            previous_balance: 'ಹಿಂದಿನ ಬಾಕಿ:',
+            this_bill: 'ಈ ಬಿಲ್:',
+            paid_now: 'ಈಗ ಪಾವತಿ:',
+            balance_due: 'ಬಾಕಿ ಮೊತ್ತ:',
+            advance: 'ಮುಂಗಡ:',
+            due_date: 'ಕೊನೆಯ ದಿನಾಂಕ:',
+            footer: 'ಖರೀದಿಸಿದ್ದಕ್ಕೆ ಧನ್ಯವಾದಗಳು! ಮತ್ತೆ ಬನ್ನಿ',
+            payment_modes: {
+                cash: 'ನಗದು',
+                card: 'ಕಾರ್ಡ್',
+                due: 'ಸಾಲ',
+                bank_transfer: 'ಬ್ಯಾಂಕ್ ವರ್ಗಾವಣೆ',
+                split: 'ವಿಭಜಿತ'
+            },
+            transaction_types: {
+                sale: 'ಮಾರಾಟ',
+                return: 'ಹಿಂತಿರುಗಿಸುವಿಕೆ',
+                refund: 'ಮರುಪಾವತಿ'
+            }
+        },
+        'ta-IN': {
+            name: 'தமிழ்',
+            not_available: 'இல்லை',
+            logo: 'லோகோ',
+            bill_no: 'பில் எண்:',
+            date: 'தேதி:',
+            time: 'நேரம்:',
+            customer: 'வாடிக்கையாளர்:',
+            mobile_no: 'கைபேசி எண்:',
+            type: 'வகை:',
+            payment: 'கட்டணம்:',
+            cashier: 'காசாளர்:',
+            item_name: 'பொருள்',
+            item_qty: 'அளவு',
+            item_rate: 'விலை',
+            item_amount: 'தொகை',
+            total_items: 'மொத்த பொருட்கள்: {count}',
+            total_qty: 'மொத்த அளவு: {qty}',
+            subtotal: 'கூட்டுத்தொகை:',
+            discount_percent: 'தள்ளுபடி -{rate}%:',
+            discount_amount: 'தள்ளுபடி (₹):',
+            total: 'மொத்தம்:',
+            rate: 'விகிதம்',
+            taxable: 'வரிக்குரியது',
+            total_tax: 'மொத்த வரி',
+            summary_total: 'மொத்தம்',
+            round_off: 'முழுமையாக்கல்:',
+            net_payable: 'செலுத்த வேண்டியது:',
+            tendered: 'பெற்றது:',
+            change: 'மீதி:',
+            payments: 'கட்டணங்கள்',
+            total_paid: 'செலுத்தியது:',
+            reference: 'குறிப்பு',
+            other_mode: 'மற்றவை',
+            previous_balance: 'முந்தைய நிலுவை:',
+            this_bill: 'இந்த பில்:',
+            paid_now: 'இப்போது செலுத்தியது:',
+            balance_due: 'நிலுவைத் தொகை:',
+            advance: 'முன்பணம்:',
+            due_date: 'கடைசி தேதி:',
+            footer: 'வாங்கியதற்கு நன்றி! மீண்டும் வருக',
+            payment_modes: {
+                cash: 'ரொக்கம்',
+                card: 'அட்டை',
+                due: 'கடன்',
+                bank_transfer: 'வங்கி பரிமாற்றம்',
+                split: 'பிரிப்பு'
+            },
+            transaction_types: {
+                sale: 'விற்பனை',
+                return: 'திருப்பம்',
+                refund: 'பணத்திருப்பம்'
+            }
+        }
+    };
+
+    /**
+     * Labels for a locale, with en-IN filling in any label the bundle lacks
+     * @param {string} locale - Locale code (e.g. 'hi-IN'); a bare language ('hi') picks its bundle
+     * @returns {object} Labels (see the en-IN bundle for the keys)
+     */
+    function getLabels(locale = DEFAULT_LOCALE) {
+        const fallback = BUNDLES[DEFAULT_LOCALE];
+        const bundle = BUNDLES[findLocale(locale)];
+        return {
+            ...fallback,
+            ...bundle,
+            payment_modes: { ...fallback.payment_modes, ...bundle.payment_modes },
+            transaction_types: { ...fallback.transaction_types, ...bundle.transaction_types }
+        };
+    }
+
+    /**
+     * Pick the locale for a render: options.locale, then receipt_template.locale, then en-IN
+     * @param {object} template - Receipt template JSON
+     * @param {object} options - Render options ({ locale })
+     * @returns {string} Locale code of an available bundle
+     */
+    function resolveLocale(template, options = {}) {
+        return findLocale(options.locale || template?.receipt_template?.locale || DEFAULT_LOCALE);
+    }
+
+    /**
+     * Bundle code for a locale, falling back to en-IN (with a warning) when there is none
+     */
+    function findLocale(locale) {
+        if (!locale) return DEFAULT_LOCALE;
+        const code = Object.keys(BUNDLES).find(key => key.toLowerCase() === String(locale).toLowerCase()) ||
+            Object.keys(BUNDLES).find(key => key.split('-')[0] === String(locale).split(/[-_]/)[0].toLowerCase());
+        if (!code) {
+            console.warn(`No labels for locale "${locale}", using ${DEFAULT_LOCALE}`);
+            return DEFAULT_LOCALE;
+        }
+        return code;
+    }
+
+    /**
+     * Add or extend a locale bundle (labels it doesn't give fall back to en-IN)
+     * @param {string} locale - Locale code, e.g. 'mr-IN'
+     * @param {object} labels - Labels to add or override
+     */
+    function registerLocale(locale, labels) {
+        const existing = BUNDLES[locale] || {};
+        BUNDLES[locale] = {
+            ...existing,
+            ...labels,
+            payment_modes: { ...existing.payment_modes, ...labels.payment_modes },
+            transaction_types: { ...existing.transaction_types, ...labels.transaction_types }
+        };
+    }
+
+    /**
+     * Locales with a bundle, for pickers
+     * @returns {Array<object>} [{ code, name }]
+     */
+    function getLocales() {
+        return Object.keys(BUNDLES).map(code => ({ code, name: BUNDLES[code].name || code }));
+    }
+
+    /**
+     * Fill {name} placeholders in a label
+     * @param {string} label - Label, e.g. 'Total Items: {count}'
+     * @param {object} values - Placeholder values
+     * @returns {string} Label text
+     */
+    function format(label, values = {}) {
+        return String(label).replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+    }
+
+    /**
+     * Translate a data value through one of the bundle's value maps
+     * @param {object} map - labels.payment_modes or labels.transaction_types
+     * @param {string} value - Data value, e.g. 'UPI' or 'Sale'
+     * @returns {string} Translated value, or the value as given
+     */
+    function translate(map, value) {
+        const key = String(value).trim().toLowerCase().replace(/\s+/g, '_');
+        return (map && map[key]) || String(value);
+    }
+
+    /**
+     * Whether text uses an Indic script, which printers have no font for
+     * (the ESC/POS output rasterizes such lines)
+     */
+    function hasIndicScript(text) {
+        return INDIC_SCRIPT.test(String(text));
+    }
+
+    // Public API
+    return {
+        DEFAULT_LOCALE,
+        getLabels,
+        resolveLocale,
+        registerLocale,
+        getLocales,
+        format,
+        translate,
+        hasIndicScript
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptLocales;
+}
@@ -0,0 +1,366 @@
+/**
+ * Receipt Totals - Tax and totals calculation from line items
+ * Works out item amounts, discount, CGST/SGST (or IGST), round-off and total
+ * in whole paise, and checks caller-supplied totals against them
+ *
+ * Usage:
+ *   const totals = ReceiptTotals.calculate(data);
+ *   totals.tax.cgst.amount // 85.5
+ *   const data2 = ReceiptTotals.applyTotals(data);   // data with computed totals filled in
+ *   ReceiptTotals.verify(data).errors                // [{ field, expected, actual, message }]
+ *   ReceiptTotals.summarizeTax(data).groups          // GST per HSN/SAC code and rate
+ *   ReceiptTotals.verifyPayments(data).valid         // split payments add up to the total
+ *   ReceiptTotals.calculateDue(data).outstanding     // customer balance after this bill
+ *
+ * Data read:
+ *   items[].qty, items[].rate, items[].gst_rate (percent; defaults to the bill rate), items[].hsn
+ *   discount, discount_type ('amount' | 'percentage' | 'percent')
+ *   tax.cgst.rate + tax.sgst.rate, or tax.igst.rate - bill rate for items without gst_rate
+ *   inter_state - true for IGST, otherwise CGST + SGST
+ *   tax_inclusive - true when rates already include GST
+ *   payments[].amount - tenders of a split payment (verifyPayments)
+ *   previous_balance, amount_paid - customer ledger before this bill, paid now (calculateDue)
+ *
+ * Options override the data: { gstRate, interState, taxInclusive, roundOff }
+ *   roundOff - round the total to the nearest rupee (default true)
+ */
+
+const ReceiptTotals = (() => {
+    const TAX_KEYS = ['cgst', 'sgst', 'igst'];
+
+    /**
+     * Calculate totals from line items
+     * The bill discount is shared across items in proportion to their amounts
+     * (remainders go to the largest amounts), so tax is charged on what the
+     * customer pays. Each item's tax is rounded to the paisa per component.
+     * @param {object} data - Receipt data
+     * @param {object} options - { gstRate, interState, taxInclusive, roundOff }
+     * @returns {object} { items, subtotal, discount, taxable, tax, round_off, total }
+     *   items carry amount, discount, taxable, gst_rate, cgst, sgst, igst;
+     *   tax is { cgst, sgst, igst } with rate (null when items differ) and amount
+     */
+    function calculate(data, options = {}) {
+        const settings = getSettings(data, options);
+        const { lines, subtotal, discount } = calculateLines(data, settings);
+
+        const taxable = sum(lines.map(line => line.paise.taxable));
+        const tax = {};
+        TAX_KEYS.forEach(key => {
+            tax[key] = { rate: getSummaryRate(lines, key, settings), amount: fromPaise(sum(lines.map(line => line.paise[key]))) };
+        });
+
+        const exact = taxable + sum(lines.map(line => line.paise.cgst + line.paise.sgst + line.paise.igst));
+        const total = settings.roundOff ? Math.round(exact / 100) * 100 : exact;
+
+        return {
+            items: lines.map(({ paise: _paise, ...line }) => line),
+            subtotal: fromPaise(subtotal),
+            discount: fromPaise(discount),
+            taxable: fromPaise(taxable),
+            tax,
+            round_off: fromPaise(total - exact),
+            total: fromPaise(total)
+        };
+    }
+
+    /**
+     * GST summary grouped by HSN/SAC code and rate, in first-seen order
+     * Items without an hsn code are grouped under ''
+     * @param {object} data - Receipt data
+     * @param {object} options - As for calculate
+     * @returns {object} { interState, groups, total }
+     *   groups are { hsn, rate, taxable, cgst, sgst, igst, tax }; total has the same sums (hsn and rate null)
+     */
+    function summarizeTax(data, options = {}) {
+        const settings = getSettings(data, options);
+        const { lines } = calculateLines(data, settings);
+        const groups = new Map();
+        const total = { hsn: null, rate: null, taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+
+        lines.forEach(line => {
+            const hsn = line.hsn !== undefined && line.hsn !== null ? String(line.hsn) : '';
+            const key = `${hsn}@${line.gst_rate}`;
+            if (!groups.has(key)) {
+                groups.set(key, { hsn, rate: line.gst_rate, taxable: 0, cgst: 0, sgst: 0, igst: 0 });
+            }
+            [groups.get(key), total].forEach(group => {
+                group.taxable += line.paise.taxable;
+                TAX_KEYS.forEach(taxKey => { group[taxKey] += line.paise[taxKey]; });
+            });
+        });
+
+        const toRupees = (group) => ({
+            hsn: group.hsn,
+            rate: group.rate,
+            taxable: fromPaise(group.taxable),
+            cgst: fromPaise(group.cgst),
+            sgst: fromPaise(group.sgst),
+            igst: fromPaise(group.igst),
+            tax: fromPaise(group.cgst + group.sgst + group.igst)
+        });
+
+        return {
+            interState: settings.interState,
+            groups: Array.from(groups.values(), toRupees),
+            total: toRupees(total)
+        };
+    }
+
+    /**
+     * Copy of the data with calculated item amounts, subtotal, tax,
+     * round_off, total and discount_amount filled in
+     * (discount and discount_type are kept as given)
+     * @param {object} data - Receipt data
+     * @param {object} options - As for calculate
+     * @returns {object} New data object
+     */
+    function applyTotals(data, options = {}) {
+        const totals = calculate(data, options);
+        return {
+            ...data,
+            items: totals.items.map((line, index) => ({ ...data.items[index], amount: line.amount, gst_rate: line.gst_rate })),
+            subtotal: totals.subtotal,
+            discount_amount: totals.discount,
+            tax: totals.tax,
+            round_off: totals.round_off,
+            total: totals.total
+        };
+    }
+
+    /**
+     * Check caller-supplied totals against the calculation
+     * Only fields present in the data are checked, to the paisa
+     * @param {object} data - Receipt data
+     * @param {object} options - As for calculate
+     * @returns {object} { valid, errors: [{ field, expected, actual, message }], totals }
+     */
+    function verify(data, options = {}) {
+        const totals = calculate(data, options);
+        const errors = [];
+
+        const check = (field, expected, actual) => {
+            if (actual === undefined || actual === null || actual === '') return;
+            if (toPaise(actual) !== toPaise(expected)) {
+                errors.push({ field, expected, actual, message: `${field} is ${actual}, expected ${expected.toFixed(2)}` });
+            }
+        };
+
+        totals.items.forEach((line, index) => check(`items.${index}.amount`, line.amount, (data.items[index] || {}).amount));
+        check('subtotal', totals.subtotal, data.subtotal);
+        TAX_KEYS.forEach(key => check(`tax.${key}.amount`, totals.tax[key].amount, data.tax?.[key]?.amount));
+        check('round_off', totals.round_off, data.round_off);
+        check('total', totals.total, data.total);
+
+        return { valid: errors.length === 0, errors, totals };
+    }
+
+    /**
+     * Check that the tenders in data.payments add up to data.total, to the paisa
+     * @param {object} data - Receipt data
+     * @returns {object} { valid, paid, total, errors: [{ field, expected, actual, message }] }
+     */
+    function verifyPayments(data) {
+        const payments = data.payments || [];
+        const errors = [];
+        const paid = sum(payments.map(payment => toPaise(payment.amount || 0)));
+        const total = toPaise(data.total || 0);
+
+        payments.forEach((payment, index) => {
+            if (!(toPaise(payment.amount || 0) > 0)) {
+                errors.push({ field: `payments.${index}.amount`, expected: null, actual: payment.amount, message: `payments.${index}.amount must be more than 0` });
+            }
+        });
+        if (paid !== total) {
+            errors.push({
+                field: 'payments',
+                expected: fromPaise(total),
+                actual: fromPaise(paid),
+                message: `payments add up to ${fromPaise(paid).toFixed(2)}, expected ${fromPaise(total).toFixed(2)}`
+            });
+        }
+
+        return { valid: errors.length === 0, paid: fromPaise(paid), total: fromPaise(total), errors };
+    }
+
+    /**
+     * Customer ledger position after this bill
+     * outstanding = previous_balance + total - amount_paid; amount_paid defaults
+     * to the sum of data.payments (0 without payments). A negative outstanding
+     * balance is an advance.
+     * @param {object} data - Receipt data
+     * @returns {object} { previous_balance, bill_amount, paid, outstanding }
+     */
+    function calculateDue(data) {
+        const previous = toPaise(data.previous_balance || 0);
+        const bill = toPaise(data.total || 0);
+        const paid = data.amount_paid !== undefined && data.amount_paid !== null
+            ? toPaise(data.amount_paid)
+            : sum((data.payments || []).map(payment => toPaise(payment.amount || 0)));
+
+        return {
+            previous_balance: fromPaise(previous),
+            bill_amount: fromPaise(bill),
+            paid: fromPaise(paid),
+            outstanding: fromPaise(previous + bill - paid)
+        };
+    }
+
+    /**
+     * Per-item amounts, discount share and tax, in paise (line.paise) and rupees
+     */
+    function calculateLines(data, settings) {
+        const items = data.items || [];
+
+        const amounts = items.map(item => multiply(toPaise(item.rate || 0), item.qty || 0));
+        const subtotal = sum(amounts);
+        const discount = Math.min(getDiscountPaise(data, subtotal), subtotal);
+        const discounts = share(discount, amounts);
+
+        const lines = items.map((item, index) => {
+            const rate = item.gst_rate !== undefined && item.gst_rate !== null ? Number(item.gst_rate) : settings.gstRate;
+            const net = amounts[index] - discounts[index];
+            const split = splitTax(net, rate, settings);
+            return {
+                ...item,
+                amount: fromPaise(amounts[index]),
+                discount: fromPaise(discounts[index]),
+                taxable: fromPaise(split.taxable),
+                gst_rate: rate,
+                cgst: fromPaise(split.cgst),
+                sgst: fromPaise(split.sgst),
+                igst: fromPaise(split.igst),
+                paise: { net, ...split }
+            };
+        });
+
+        return { lines, subtotal, discount };
+    }
+
+    function getSettings(data, options) {
+        const interState = pick(options.interState, data.inter_state, false) === true;
+        const tax = data.tax || {};
+        const billRate = interState
+            ? Number(tax.igst?.rate || 0)
+            : Number(tax.cgst?.rate || 0) + Number(tax.sgst?.rate || 0);
+
+        return {
+            interState,
+            gstRate: Number(pick(options.gstRate, undefined, billRate)),
+            taxInclusive: pick(options.taxInclusive, data.tax_inclusive, false) === true,
+            roundOff: pick(options.roundOff, undefined, true) !== false
+        };
+    }
+
+    function pick(option, dataValue, fallback) {
+        if (option !== undefined) return option;
+        return dataValue !== undefined ? dataValue : fallback;
+    }
+
+    function getDiscountPaise(data, subtotal) {
+        const discount = Number(data.discount || 0);
+        const discountType = data.discount_type || data.discountType || 'amount';
+        if (discountType === 'percentage' || discountType === 'percent') {
+            return roundHalfUp(subtotal * discount / 100);
+        }
+        return toPaise(discount);
+    }
+
+    /**
+     * Split a line's value (after discount) into taxable value and tax components
+     * Exclusive rates add tax on top of the value. Inclusive rates take it out
+     * of the value, leaving the taxable value as the remainder. CGST and SGST are
+     * always equal halves.
+     */
+    function splitTax(net, rate, settings) {
+        const base = settings.taxInclusive ? 100 + rate : 100;
+        if (settings.interState) {
+            const igst = roundHalfUp(net * rate / base);
+            return { taxable: settings.taxInclusive ? net - igst : net, cgst: 0, sgst: 0, igst };
+        }
+        const half = roundHalfUp(net * rate / (2 * base));
+        return { taxable: settings.taxInclusive ? net - 2 * half : net, cgst: half, sgst: half, igst: 0 };
+    }
+
+    function getSummaryRate(lines, key, settings) {
+        const applies = key === 'igst' ? settings.interState : !settings.interState;
+        if (!applies) return 0;
+        const rates = [...new Set(lines.map(line => line.gst_rate))];
+        if (rates.length === 0) return key === 'igst' ? settings.gstRate : settings.gstRate / 2;
+        if (rates.length > 1) return null;
+        return key === 'igst' ? rates[0] : rates[0] / 2;
+    }
+
+    /**
+     * Share an amount across weights in whole paise (largest remainder)
+     */
+    function share(total, weights) {
+        const weightSum = sum(weights);
+        if (total === 0 || weightSum === 0) return weights.map(() => 0);
+
+        const exact = weights.map(weight => total * (weight / weightSum));
+        const parts = exact.map(Math.floor);
+        let left = total - sum(parts);
+        const order = weights.map((_weight, index) => index)
+            .sort((a, b) => (exact[b] - parts[b]) - (exact[a] - parts[a]) || weights[b] - weights[a]);
+        for (let i = 0; left > 0; i = (i + 1) % order.length, left--) {
+            parts[order[i]]++;
+        }
+        return parts;
+    }
+
+    /**
+     * Convert rupees to whole paise, rounding half away from zero
+     * (decimal-exact: 1.005 → 101, not 100). The scaled value is cut to 15
+     * significant digits, which drops binary representation error
+     * (1.005 × 100 = 100.49999999999999) and tiny leftovers such as
+     * 0.1 + 0.2 - 0.3 (5.55e-17) alike
+     * A value that isn't a finite number ("abc", "1e400") is warned about and
+     * gives NaN, so it can't pass for ₹0.00: totals worked out from it print as
+     * "?" (see ReceiptLayout.formatIndianNumber) and never match in the checks
+     */
+    function toPaise(value) {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[₹,\s]/g, ''));
+        if (!isFinite(number)) {
+            console.warn(`Cannot read "${value}" as an amount`);
+            return NaN;
+        }
+        const paise = Math.sign(number) * Math.round(Number((Math.abs(number) * 100).toPrecision(15)));
+        return paise === 0 ? 0 : paise;
+    }
+
+    function fromPaise(paise) {
+        return paise / 100;
+    }
+
+    /**
+     * Paise × a factor (e.g. quantity), rounded half away from zero
+     */
+    function multiply(paise, factor) {
+        return roundHalfUp(paise * Number(factor));
+    }
+
+    function roundHalfUp(value) {
+        // Nudge past binary representation error (e.g. 10.5 stored as 10.4999...)
+        return Math.sign(value) * Math.round(Math.abs(value) + 1e-9);
+    }
+
+    function sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    // Public API
+    return {
+        calculate,
+        applyTotals,
+        summarizeTax,
+        verify,
+        verifyPayments,
+        calculateDue,
+        toPaise
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptTotals;
+}
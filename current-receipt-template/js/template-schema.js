@@ -0,0 +1,475 @@
+/**
+ * Template Schema - JSON Schema for receipt templates and a validator for it
+ * Lists every element type with the properties it takes and their allowed
+ * values, so a misspelt property ("alignement"), an unknown element type or
+ * a value the printer doesn't know ("font_size": "HUGE") is reported instead
+ * of silently printing with defaults. A single template and the combined
+ * templates file (templates/receipt-templates.json) both validate.
+ *
+ * Usage:
+ *   const result = TemplateSchema.validate(template);
+ *   result.valid    // false
+ *   result.errors   // [{ path, element, message }]
+ *   result.errors[0].message
+ *                   // 'elements[3] (text): unknown property "alignement" (did you mean "alignment"?)'
+ *   TemplateSchema.schema // the JSON Schema (draft-07)
+ *
+ * data/template-schema.json is the same schema as a file, for editors and other
+ * JSON Schema validators; it is generated from this one (see the README), and
+ * test/template-schema.test.js fails when the two differ. validate() understands the
+ * parts of JSON Schema this schema and data/variables-schema.json use: $ref,
+ * type, enum, const, properties, required, additionalProperties, items,
+ * minimum, maximum, exclusiveMinimum, minLength, minItems, pattern, format
+ * (date, date-time) and oneOf. validateAgainst() checks other values, such as
+ * render data, against another schema. validate() also parses every when
+ * condition (ReceiptLayout.checkCondition), which the JSON Schema can't.
+ */
+
+const TemplateSchema = (() => {
+    const ref = name => ({ $ref: `#/definitions/${name}` });
+    const CONDITION_REF = ref('condition').$ref;
+
+    // String formats validate() checks; a date-time may leave out the offset,
+    // as the renderers print those as written
+    const FORMATS = {
+        'date': /^\d{4}-\d{2}-\d{2}$/,
+        'date-time': /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i
+    };
+    const FORMAT_EXAMPLES = {
+        'date': '2025-02-15',
+        'date-time': '2025-01-15T14:30:00+05:30'
+    };
+
+    // Element definition: type and when, plus the element's own properties; nothing else
+    function element(type, description, properties = {}, required = []) {
+        return {
+            description,
+            type: 'object',
+            properties: {
+                type: { const: type },
+                when: ref('condition'),
+                ...properties
+            },
+            required: ['type', ...required],
+            additionalProperties: false
+        };
+    }
+
+    const textStyle = {
+        alignment: ref('alignment'),
+        font_size: ref('fontSize'),
+        font_weight: ref('fontWeight')
+    };
+
+    const itemTable = {
+        columns: { type: 'array', items: ref('itemColumn'), minItems: 1 },
+        show_serial_no: ref('condition')
+    };
+
+    const ELEMENTS = {
+        text: element('text', 'Text with ${variable} substitution', {
+            value: { type: 'string' },
+            ...textStyle
+        }, ['value']),
+        static_text: element('static_text', 'Text printed as written', {
+            value: { type: 'string' },
+            ...textStyle
+        }, ['value']),
+        separator: element('separator', 'Dividing line', {
+            length: { type: 'integer', minimum: 1 },
+            style: { enum: ['DASHED', 'SOLID'] }
+        }),
+        newline: element('newline', 'Blank line'),
+        placeholder_block: element('placeholder_block', 'Logo: PNG from image or the logo data field, a placeholder box when there is none', {
+            image: { type: 'string' },
+            height: { type: 'integer', minimum: 1 },
+            width: { type: 'integer', minimum: 1 }
+        }),
+        bill_date_row: element('bill_date_row', 'Bill number, date and time'),
+        customer_info_row: element('customer_info_row', 'Customer name and mobile number'),
+        transaction_payment_row: element('transaction_payment_row', 'Transaction type and payment mode'),
+        transaction_calculation: element('transaction_calculation', 'Calculation lines from calculation_steps', {
+            alignment: ref('alignment'),
+            font_size: ref('fontSize')
+        }),
+        transaction_calculation_v2: element('transaction_calculation_v2', 'Calculator tape from calculation_steps, one step per row', {
+            alignment: ref('alignment'),
+            font_size: ref('fontSize'),
+            verify_calculation: { type: 'boolean' },
+            show_finalizing_ops: { type: 'boolean' }
+        }),
+        item_header_row: element('item_header_row', 'Items table header', itemTable),
+        bill_items: element('bill_items', 'Items table rows', {
+            ...itemTable,
+            source: { type: 'string', minLength: 1 },
+            name_wrap: { enum: ['TRUNCATE', 'WRAP', 'ABOVE'] },
+            numbers_line: { enum: ['FIRST', 'LAST'] }
+        }),
+        total_qty_items_row: element('total_qty_items_row', 'Item count and total quantity'),
+        total_amount_row: element('total_amount_row', 'Subtotal, discount, tax and total', {
+            verify_totals: { type: 'boolean' }
+        }),
+        total_amount_row_simple: element('total_amount_row_simple', 'Total only'),
+        tax_summary: element('tax_summary', 'HSN/SAC tax summary'),
+        payment_summary: element('payment_summary', 'Round-off, net payable, tendered and change'),
+        payment_breakup: element('payment_breakup', 'Split payments by mode'),
+        due_balance: element('due_balance', 'Previous balance, this bill, paid now and balance due'),
+        footer_message: element('footer_message', 'Thank-you footer'),
+        qr_code: element('qr_code', 'QR code', {
+            value: { type: 'string' },
+            size: { enum: ['SMALL', 'MEDIUM', 'LARGE'] },
+            error_correction: { enum: ['L', 'M', 'Q', 'H'] },
+            alignment: ref('alignment')
+        }),
+        barcode: element('barcode', 'CODE128, EAN-13 or CODE39 barcode', {
+            value: { type: 'string' },
+            symbology: { enum: ['CODE128', 'EAN13', 'EAN-13', 'CODE39'] },
+            height: { type: 'integer', minimum: 1, maximum: 255 },
+            module_width: { type: 'integer', minimum: 1, maximum: 6 },
+            hri: { enum: ['NONE', 'ABOVE', 'BELOW', 'BOTH'] },
+            alignment: ref('alignment')
+        }),
+        cut_paper: element('cut_paper', 'Feed and cut the paper')
+    };
+
+    const schema = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'https://tohands.com/schemas/receipt-template.json',
+        title: 'Receipt Template Schema',
+        description: 'A receipt template, or the combined templates file ({ templates: { name: template } })',
+        oneOf: [ref('template'), ref('templateCollection')],
+        definitions: {
+            template: {
+                type: 'object',
+                properties: {
+                    $schema: { type: 'string' },
+                    receipt_template: ref('receiptTemplate')
+                },
+                required: ['receipt_template'],
+                additionalProperties: false
+            },
+            templateCollection: {
+                type: 'object',
+                properties: {
+                    $schema: { type: 'string' },
+                    templates: { type: 'object', additionalProperties: ref('template') },
+                    metadata: { type: 'object' }
+                },
+                required: ['templates'],
+                additionalProperties: false
+            },
+            receiptTemplate: {
+                type: 'object',
+                properties: {
+                    characterWidth: { type: 'integer', minimum: 1, description: 'Characters per line (32 for 2-inch, 48 for 3-inch)' },
+                    paperWidth: { type: 'integer', minimum: 1, description: 'Paper width in mm (58 or 80)' },
+                    locale: { type: 'string', description: 'Language of the built-in labels (en-IN, hi-IN, kn-IN, ta-IN)' },
+                    date_format: { ...ref('datePattern'), description: 'Date pattern, e.g. DD/MM/YYYY or DD MMM YYYY' },
+                    time_format: { ...ref('datePattern'), description: 'Time pattern, e.g. hh:mm:ss A or HH:mm' },
+                    timezone: { type: 'string', description: 'IANA time zone the bill_date is printed in' },
+                    tax_invoice: { type: 'boolean', description: 'Print as a GST tax invoice' },
+                    elements: { type: 'array', items: ref('element') }
+                },
+                required: ['elements'],
+                additionalProperties: false
+            },
+            element: { oneOf: Object.keys(ELEMENTS).map(ref) },
+            condition: {
+                type: ['string', 'boolean'],
+                description: 'when condition, e.g. "${gstin}" or "${payment_type | lower} == \'due\'"'
+            },
+            datePattern: {
+                type: 'string',
+                // Letters only as tokens or inside 'quotes', so "DD Mon YYYY" doesn't print "16 0on 2025"
+                pattern: "^(?:YYYY(?!Y)|YY(?!Y)|MMM(?!M)|MM(?!M)|DD(?!D)|HH(?!H)|hh(?!h)|mm(?!m)|ss(?!s)|A|'[^']*'|[^A-Za-z'])*$",
+                description: "Tokens DD MM MMM YYYY YY HH hh mm ss A; other letters go in single quotes ('at')"
+            },
+            alignment: { enum: ['LEFT', 'CENTER', 'RIGHT'] },
+            fontSize: { enum: ['NORMAL', 'SMALL', 'LARGE'] },
+            fontWeight: { enum: ['NORMAL', 'BOLD'] },
+            itemColumn: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string', minLength: 1 },
+                    header: { type: 'string' },
+                    width: { type: 'integer', minimum: 1 },
+                    flex: { type: 'number', exclusiveMinimum: 0 },
+                    align: { enum: ['LEFT', 'RIGHT'] },
+                    format: { type: 'string' },
+                    when: ref('condition'),
+                    className: { type: 'string' }
+                },
+                required: ['field'],
+                additionalProperties: false
+            },
+            ...ELEMENTS
+        }
+    };
+
+    /**
+     * Validate a template (or the combined templates file) against the schema
+     * @param {object} template - Receipt template JSON
+     * @returns {object} { valid, errors }
+     *   errors are { path, element, message }: path is the JSON path of the
+     *   problem, element the index in elements (null when it isn't about one
+     *   element); message says where, e.g. 'elements[5] (qr_code): size must be
+     *   one of SMALL, MEDIUM, LARGE, not "HUGE"'
+     */
+    function validate(template) {
+        const problems = [];
+        check(schema, template, [], { root: schema, problems, conditions: true });
+
+        const errors = problems.map(({ path, message, own }) => {
+            const at = path.lastIndexOf('elements');
+            const index = at !== -1 && typeof path[at + 1] === 'number' ? path[at + 1] : null;
+            if (index === null) {
+                return { path: formatPath(path), element: null, message: describe(formatPath(path), message, own) };
+            }
+
+            // Name the template in the combined file, then the element and what's wrong with it
+            const type = getAt(template, path.slice(0, at + 2))?.type;
+            const templateName = path[0] === 'templates' ? `${path[1]}: ` : '';
+            const label = `elements[${index}]${ELEMENTS[type] ? ` (${type})` : ''}`;
+            const rest = formatPath(path.slice(at + 2));
+            return {
+                path: formatPath(path),
+                element: index,
+                message: `${templateName}${label}: ${rest ? describe(rest, message, own) : message}`
+            };
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate any value against a JSON Schema, using the same subset of
+     * JSON Schema as validate() (the template schema)
+     * @param {*} value - Value to check
+     * @param {object} jsonSchema - JSON Schema; $refs resolve within its definitions
+     * @returns {object} { valid, errors } - errors are { path, message }, e.g.
+     *   { path: 'items[2].qty', message: 'items[2].qty must be at least 0, not -1' }
+     */
+    function validateAgainst(value, jsonSchema) {
+        const problems = [];
+        check(jsonSchema, value, [], { root: jsonSchema, problems });
+        const errors = problems.map(({ path, message, own }) => ({
+            path: formatPath(path),
+            message: describe(formatPath(path), message, own)
+        }));
+        return { valid: errors.length === 0, errors };
+    }
+
+    function check(node, value, path, context) {
+        if (node.$ref) {
+            check(resolve(node.$ref, context.root), value, path, context);
+            if (context.conditions && node.$ref === CONDITION_REF && typeof value === 'string') {
+                const problem = getLayout().checkCondition(value);
+                if (problem) {
+                    context.problems.push({ path, message: `is not a valid condition: ${problem} in ${JSON.stringify(value)}` });
+                }
+            }
+            return;
+        }
+        if (node.oneOf) {
+            checkOneOf(node.oneOf.map(branch => branch.$ref ? resolve(branch.$ref, context.root) : branch), value, path, context);
+            return;
+        }
+
+        if (node.const !== undefined && value !== node.const) {
+            context.problems.push({ path, message: `must be ${JSON.stringify(node.const)}, not ${JSON.stringify(value)}` });
+            return;
+        }
+        if (node.enum && !node.enum.includes(value)) {
+            const suggestion = suggest(value, node.enum);
+            context.problems.push({
+                path,
+                message: `must be one of ${node.enum.join(', ')}, not ${JSON.stringify(value)}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+            });
+            return;
+        }
+        if (node.type) {
+            const types = [].concat(node.type);
+            if (!types.some(type => isType(value, type))) {
+                context.problems.push({ path, message: `must be ${types.map(describeType).join(' or ')}, not ${describeValue(value)}` });
+                return;
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) {
+                context.problems.push({ path, message: `must be at least ${node.minimum}, not ${value}` });
+            }
+            if (node.maximum !== undefined && value > node.maximum) {
+                context.problems.push({ path, message: `must be at most ${node.maximum}, not ${value}` });
+            }
+            if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+                context.problems.push({ path, message: `must be more than ${node.exclusiveMinimum}, not ${value}` });
+            }
+        }
+        if (typeof value === 'string') {
+            if (node.minLength !== undefined && value.length < node.minLength) {
+                context.problems.push({ path, message: 'must not be empty' });
+            }
+            if (node.pattern !== undefined && !new RegExp(node.pattern, 'u').test(value)) {
+                context.problems.push({ path, message: `must match ${node.pattern}, not ${JSON.stringify(value)}` });
+            }
+            if (FORMATS[node.format] && !FORMATS[node.format].test(value)) {
+                context.problems.push({ path, message: `must be a ${node.format} (e.g. ${FORMAT_EXAMPLES[node.format]}), not ${JSON.stringify(value)}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                context.problems.push({ path, message: `must have at least ${node.minItems} item${node.minItems === 1 ? '' : 's'}` });
+            }
+            if (node.items) {
+                value.forEach((item, index) => check(node.items, item, [...path, index], context));
+            }
+        } else if (isType(value, 'object')) {
+            checkObject(node, value, path, context);
+        }
+    }
+
+    function checkObject(node, value, path, context) {
+        const properties = node.properties || {};
+        (node.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                context.problems.push({ path: [...path, name], message: 'is required' });
+            }
+        });
+        Object.keys(value).forEach(name => {
+            if (properties[name]) {
+                check(properties[name], value[name], [...path, name], context);
+            } else if (node.additionalProperties === false) {
+                const suggestion = suggest(name, Object.keys(properties));
+                context.problems.push({ path, own: true, message: `unknown property "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}` });
+            } else if (isType(node.additionalProperties, 'object')) {
+                check(node.additionalProperties, value[name], [...path, name], context);
+            }
+        });
+    }
+
+    /**
+     * oneOf: elements pick their branch by type; otherwise the first branch
+     * whose required properties are all there (or the first branch) is checked
+     */
+    function checkOneOf(branches, value, path, context) {
+        const typed = branches.filter(branch => branch.properties?.type?.const !== undefined);
+        if (typed.length === branches.length && isType(value, 'object')) {
+            const branch = typed.find(candidate => candidate.properties.type.const === value.type);
+            if (branch) {
+                check(branch, value, path, context);
+            } else if (value.type === undefined) {
+                context.problems.push({ path: [...path, 'type'], message: 'is required' });
+            } else {
+                const types = typed.map(candidate => candidate.properties.type.const);
+                const suggestion = suggest(value.type, types);
+                context.problems.push({
+                    path,
+                    own: true,
+                    message: `unknown element type ${JSON.stringify(value.type)}${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                });
+            }
+            return;
+        }
+
+        const branch = branches.find(candidate => isType(value, 'object') &&
+            (candidate.required || []).every(name => value[name] !== undefined)) || branches[0];
+        check(branch, value, path, context);
+    }
+
+    function resolve(reference, root) {
+        const name = reference.replace('#/definitions/', '');
+        const node = root.definitions?.[name];
+        if (!node) {
+            throw new Error(`Unknown schema reference: ${reference}`);
+        }
+        return node;
+    }
+
+    function isType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    function describeType(type) {
+        return { object: 'an object', array: 'an array', integer: 'an integer', number: 'a number', boolean: 'true or false' }[type] || `a ${type}`;
+    }
+
+    function describeValue(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'an array';
+        if (typeof value === 'object') return 'an object';
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Closest known name for a misspelt one ("alignement" → "alignment"), or null
+     */
+    function suggest(name, known) {
+        if (typeof name !== 'string') return null;
+        const lower = name.toLowerCase();
+        let best = null;
+        let bestDistance = Math.max(2, Math.floor(name.length / 4)) + 1;
+        known.forEach(candidate => {
+            if (typeof candidate !== 'string') return;
+            const distance = editDistance(lower, candidate.toLowerCase());
+            if (distance < bestDistance && distance < lower.length) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    function editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * "receipt_template.characterWidth must be an integer", or with a colon for
+     * problems with the object itself ("receipt_template: missing required property ...")
+     */
+    function describe(where, message, own) {
+        if (!where) return own ? message : `Value ${message}`;
+        return own ? `${where}: ${message}` : `${where} ${message}`;
+    }
+
+    function formatPath(path) {
+        return path.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key, '');
+    }
+
+    function getAt(value, path) {
+        return path.reduce((node, key) => node?.[key], value);
+    }
+
+    function getLayout() {
+        return typeof ReceiptLayout !== 'undefined' ? ReceiptLayout : require('./receipt-layout.js');
+    }
+
+    // Public API
+    return {
+        schema,
+        validate,
+        validateAgainst,
+        getElementTypes: () => Object.keys(ELEMENTS)
+    };
+})();
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemplateSchema;
+}
@@ -0,0 +1,74 @@
+/**
+ * BarcodeEncoder: the bars the preview draws for the symbols GS k prints
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const BarcodeEncoder = require('../js/barcode-encoder.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const data = require('../data/variables-example.json');
+
+function bars(barcode) {
+    return barcode.modules.map(bar => (bar ? '1' : '0')).join('');
+}
+
+test('EAN-13 encodes a known symbol and prints its check digit', () => {
+    const barcode = BarcodeEncoder.encode('400638133393', 'EAN-13');
+    assert.strictEqual(barcode.symbology, 'EAN13');
+    assert.strictEqual(barcode.data, '400638133393');
+    assert.strictEqual(barcode.text, '4006381333931');
+    assert.strictEqual(bars(barcode),
+        '10100011010100111010111101111010001001011001101010100001010000101000010111010010000101100110101');
+});
+
+test('EAN-13 refuses the wrong number of digits or a wrong check digit', () => {
+    assert.throws(() => BarcodeEncoder.encode('12345', 'EAN13'), /EAN-13 needs 12 or 13 digits: 12345/);
+    assert.throws(() => BarcodeEncoder.encode('4006381333932', 'EAN13'), /EAN-13 check digit should be 1: 4006381333932/);
+});
+
+test('CODE128 uses code set B for text', () => {
+    const barcode = BarcodeEncoder.encode('BILL-2025-001', 'CODE128');
+    assert.strictEqual(barcode.codeSet, 'B');
+    assert.strictEqual(bars(barcode),
+        '1101001000010001011000110001000101000110111010001101110100110111001100111001010011101100110011100101' +
+        '101110010010011011100100111011001001110110010011100110110001001001100011101011');
+});
+
+test('CODE128 uses code set C for an even number of digits', () => {
+    const barcode = BarcodeEncoder.encode('20250101', 'CODE128');
+    assert.strictEqual(barcode.codeSet, 'C');
+    assert.strictEqual(bars(barcode), '1101001110011001001110111001011001100110110011001101100100011110101100011101011');
+    assert.strictEqual(BarcodeEncoder.encode('12345', 'CODE128').codeSet, 'B');
+});
+
+test('CODE128 refuses characters outside printable ASCII', () => {
+    assert.throws(() => BarcodeEncoder.encode('₹100', 'CODE128'), /CODE128 can't encode character: ₹/);
+});
+
+test('CODE39 upper-cases its data and adds the * start and stop characters', () => {
+    const barcode = BarcodeEncoder.encode('inv-42', 'CODE39');
+    assert.strictEqual(barcode.data, 'INV-42');
+    assert.strictEqual(barcode.text, '*INV-42*');
+    assert.strictEqual(bars(barcode),
+        '1000101110111010101110100011101010101110100011101000111010101110100010101110111010100011101011101011' +
+        '100010101110100010111011101');
+    assert.throws(() => BarcodeEncoder.encode('A*B', 'CODE39'), /CODE39 can't encode character: \*/);
+});
+
+test('unknown symbologies fall back to CODE128', () => {
+    assert.strictEqual(BarcodeEncoder.normalizeSymbology('code-39'), 'CODE39');
+    assert.strictEqual(BarcodeEncoder.normalizeSymbology('UPC'), 'CODE128');
+    assert.strictEqual(BarcodeEncoder.normalizeSymbology(undefined), 'CODE128');
+});
+
+test('the preview draws the bars with the human-readable text', () => {
+    const template = { receipt_template: { characterWidth: 32, elements: [{ type: 'barcode', value: '400638133393', symbology: 'EAN13', hri: 'BOTH' }] } };
+    const html = PrintTemplateEngine.renderPreview(template, data);
+
+    assert.ok(html.includes('data-barcode="400638133393"'));
+    assert.strictEqual(html.split('<div class="barcode-hri">4006381333931</div>').length, 3);
+    // 95 modules x 2 dots; the first bar is the 1-module start guard
+    assert.ok(html.includes('viewBox="0 0 190 80"'));
+    assert.ok(html.includes('<path d="M0 0h2v80h-2z'));
+});
@@ -0,0 +1,92 @@
+/**
+ * CalculationTape rounding edge cases (operands, results and the check against
+ * the results the tape shows all round to the paisa like ReceiptTotals), and
+ * how transaction_calculation_v2 prints steps it can't work out
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const CalculationTape = require('../js/calculation-tape.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+
+function steps(...pairs) {
+    return pairs.map(([operator, operand]) => ({ operator, operand }));
+}
+
+function layoutTape(calculationSteps) {
+    const template = { receipt_template: { characterWidth: 32, elements: [{ type: 'transaction_calculation_v2', show_finalizing_ops: true }] } };
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return ReceiptLayout.layoutTemplate(template, { calculation_steps: calculationSteps });
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('floating-point leftovers come to ₹0.00', () => {
+    const tape = CalculationTape.evaluate(steps(['', '0.1'], ['+', '0.2'], ['-', '0.3'], ['=', '0.00']));
+    assert.strictEqual(tape.result, 0);
+    assert.strictEqual(tape.steps[3].operand, '₹0.00');
+});
+
+test('half paise round away from zero in operands and results', () => {
+    const tape = CalculationTape.evaluate(steps(['', '1.005'], ['x', '1'], ['=', '1.01']));
+    assert.strictEqual(tape.steps[0].operand, '1.01');
+    assert.strictEqual(tape.steps[2].operand, '₹1.01');
+
+    const negative = CalculationTape.evaluate(steps(['-', '1.005'], ['=', '-1.01']));
+    assert.strictEqual(negative.result, -1.01);
+});
+
+test('values just under half a paisa are not rounded up', () => {
+    const tape = CalculationTape.evaluate(steps(['', '0.0049999999'], ['=']));
+    assert.strictEqual(tape.result, 0);
+    assert.strictEqual(tape.steps[0].operand, '0.00');
+});
+
+test('shown results are checked to the paisa', () => {
+    assert.doesNotThrow(() => CalculationTape.evaluate(steps(['', '0.1'], ['+', '0.2'], ['=', '0.30'])));
+    assert.throws(() => CalculationTape.evaluate(steps(['', '0.1'], ['+', '0.2'], ['=', '0.31'])),
+        /step 3 \(=\) shows 0\.31, but the steps come to ₹0\.30/);
+});
+
+test('percent key results round to the paisa', () => {
+    const tape = CalculationTape.evaluate(steps(['', '33.33'], ['x', '15'], ['%']));
+    assert.strictEqual(tape.result, 5);
+    assert.strictEqual(tape.steps[2].operand, '₹5.00');
+});
+
+test('checkSteps lists every step evaluate cannot read', () => {
+    assert.deepStrictEqual(CalculationTape.checkSteps(steps(['', '100'], ['+', 'abc'], ['x', ''], ['?', '2'], ['='], ['MR'], ['MC'])), {
+        valid: false,
+        errors: [
+            { step: 1, message: 'Calculation step 2 (+) has no number: "abc"' },
+            { step: 2, message: 'Calculation step 3 (x) has no number: ""' },
+            { step: 3, message: 'Calculation step 4 has an unknown operator: ?' }
+        ]
+    });
+    assert.deepStrictEqual(CalculationTape.checkSteps(steps(['', '₹1,040.00'], ['-', '10%'], ['='])), { valid: true, errors: [] });
+});
+
+test('a step without a result keeps its operator in the operator column', () => {
+    const text = ReceiptLayout.toPlainText(layoutTape(steps(['', '100'], ['+', '50'], ['M+'], ['MR'])));
+    assert.deepStrictEqual(text.split('\n').map(line => line.slice(0, 10)), [
+        '          ',
+        '        + ',
+        '        --',
+        '        M+',
+        '        --',
+        '        MR'
+    ]);
+});
+
+test('an operand that is not a number prints as ? with a block warning', () => {
+    const layout = layoutTape(steps(['', '100'], ['+', 'abc'], ['=']));
+    const text = ReceiptLayout.toPlainText(layout);
+    assert.match(text, /^ {8}\+ {22}\?$/m);
+    assert.match(text, /^ {8}=$/m);
+    assert.doesNotMatch(text, /abc/);
+    assert.deepStrictEqual(layout.blocks[0].warnings, ['Calculation step 2 (+) has no number: "abc"']);
+});
@@ -0,0 +1,64 @@
+/**
+ * when conditions in the bundled templates, and how comparisons treat
+ * operands that aren't numbers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+
+const data = require('../data/variables-example.json');
+const templatesDir = path.join(__dirname, '..', 'templates');
+const qrTemplates = fs.readdirSync(templatesDir)
+    .filter(name => /^print_(bill|transaction)/.test(name))
+    .map(name => [name, JSON.parse(fs.readFileSync(path.join(templatesDir, name), 'utf8'))]);
+
+test('the payment QR code prints for due and split payments in any case', () => {
+    ['due', 'Due', 'DUE', 'split', 'Split'].forEach(paymentType => {
+        qrTemplates.forEach(([name, template]) => {
+            const text = PrintTemplateEngine.renderPlainText(template, { ...data, payment_type: paymentType });
+            assert.match(text, /\[QR: .*\]$/m, `${name} with ${paymentType}`);
+            assert.match(text, /SCAN TO PAY/, `${name} with ${paymentType}`);
+        });
+    });
+});
+
+test('the payment QR code is hidden for cash, card and UPI payments', () => {
+    ['cash', 'Cash', 'card', 'UPI'].forEach(paymentType => {
+        qrTemplates.forEach(([name, template]) => {
+            const text = PrintTemplateEngine.renderPlainText(template, { ...data, payment_type: paymentType });
+            assert.doesNotMatch(text, /\[QR:|SCAN TO PAY/, `${name} with ${paymentType}`);
+        });
+    });
+});
+
+test('ordering comparisons with an operand that is not a number are false', () => {
+    const values = { discount: 50, label: 'abc', nine: '9', empty: '' };
+    [
+        '${label} > 0', '${label} < 0', '${label} >= 0', '${label} <= 0',
+        "${nine} > 'abc'", "${nine} < 'abc'",
+        '${missing} < 5', '${missing} <= 5', '${empty} < 5',
+        '${discount} > true', '${discount} <= false'
+    ].forEach(condition => {
+        assert.strictEqual(ReceiptLayout.evaluateCondition(condition, values), false, condition);
+        assert.strictEqual(ReceiptLayout.evaluateCondition(`!(${condition})`, values), true, condition);
+    });
+});
+
+test('ordering comparisons between numbers compare numerically', () => {
+    const values = { discount: 50, nine: '9', ten: '10.00' };
+    ['${discount} > 0', '${nine} < ${ten}', "${ten} >= '10'", '${discount} <= 50'].forEach(condition => {
+        assert.strictEqual(ReceiptLayout.evaluateCondition(condition, values), true, condition);
+    });
+});
+
+test('== and != still compare text and missing values', () => {
+    const values = { label: 'abc' };
+    assert.strictEqual(ReceiptLayout.evaluateCondition("${label} == 'abc'", values), true);
+    assert.strictEqual(ReceiptLayout.evaluateCondition("${missing} == ''", values), true);
+    assert.strictEqual(ReceiptLayout.evaluateCondition("${label} != 'ABC'", values), true);
+});
@@ -0,0 +1,98 @@
+/**
+ * DataValidation: empty values and the strict/lenient render modes, and the
+ * lenient warnings the renderers pass to onWarning
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const DataValidation = require('../js/data-validation.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const data = require('../data/variables-example.json');
+const template = require('../templates/print_bill_2inch_template.json');
+
+const invalid = { ...data, shop_name: '', gstin: 'not-a-gstin' };
+const invalidMessages = [
+    'shop_name is required',
+    'gstin must match ^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$, not "not-a-gstin"'
+];
+
+/**
+ * Run render(options) in lenient mode and return the messages passed to onWarning
+ */
+function collectWarnings(render) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        render({ validation: 'lenient', onWarning: message => warnings.push(message) });
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+test('the sample data is valid', () => {
+    assert.deepStrictEqual(DataValidation.validateData(data), { valid: true, errors: [] });
+});
+
+test("'', null and undefined optional fields pass", () => {
+    ['', null, undefined].forEach(empty => {
+        assert.deepStrictEqual(DataValidation.validateData({ ...data, logo: empty }).errors, []);
+    });
+});
+
+test("'', null and undefined required fields are reported as missing", () => {
+    ['', null, undefined].forEach(empty => {
+        assert.deepStrictEqual(DataValidation.validateData({ ...data, shop_name: empty }).errors,
+            [{ field: 'shop_name', message: 'shop_name is required' }]);
+    });
+});
+
+test('strict mode accepts data with undefined optional fields', () => {
+    assert.deepStrictEqual(DataValidation.checkForRender({ ...data, logo: undefined }, { validation: 'strict' }), []);
+});
+
+test('strict mode throws and lenient mode warns for invalid data', () => {
+    const invalid = { ...data, gstin: 'not-a-gstin' };
+    assert.throws(() => DataValidation.checkForRender(invalid, { validation: 'strict' }), /^Error: Data validation failed: gstin/);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.strictEqual(DataValidation.checkForRender(invalid, { validation: 'lenient' }).length, 1);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('renderPreview passes lenient warnings to onWarning', () => {
+    assert.deepStrictEqual(collectWarnings(options => PrintTemplateEngine.renderPreview(template, invalid, options)), invalidMessages);
+});
+
+test('renderPlainText passes lenient warnings to onWarning', () => {
+    assert.deepStrictEqual(collectWarnings(options => PrintTemplateEngine.renderPlainText(template, invalid, options)), invalidMessages);
+});
+
+test('ESCPOSGenerator.generate passes lenient warnings to onWarning', () => {
+    assert.deepStrictEqual(collectWarnings(options => new ESCPOSGenerator().generate(template, invalid, options)), invalidMessages);
+});
+
+test('onWarning gets element warnings after the data warnings', () => {
+    const tape = {
+        receipt_template: {
+            characterWidth: 32,
+            elements: [{ type: 'shop_name' }, { type: 'transaction_calculation_v2' }]
+        }
+    };
+    const tapeData = { ...invalid, calculation_steps: [{ operator: 'x', operand: '100' }, { operator: '+', operand: 'abc' }] };
+    assert.deepStrictEqual(collectWarnings(options => PrintTemplateEngine.renderPlainText(tape, tapeData, options)), [
+        ...invalidMessages,
+        'Calculation step 2 (+) has no number: "abc"'
+    ]);
+});
+
+test('valid data passes no warnings to onWarning', () => {
+    assert.deepStrictEqual(collectWarnings(options => PrintTemplateEngine.renderPlainText(template, data, options)), []);
+});
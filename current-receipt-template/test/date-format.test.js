@@ -0,0 +1,53 @@
+/**
+ * Date patterns: tokens, quoted literals, the template schema check and
+ * patterns with colons in date/time formatter pipes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptLayout = require('../js/receipt-layout.js');
+const TemplateSchema = require('../js/template-schema.js');
+
+const billDate = '2025-01-16T14:05:09+05:30';
+
+function validateDateFormat(dateFormat) {
+    return TemplateSchema.validate({ receipt_template: { characterWidth: 32, date_format: dateFormat, elements: [] } });
+}
+
+test('MMM prints the short month name', () => {
+    assert.strictEqual(ReceiptLayout.formatDatePattern(billDate, 'DD MMM YYYY'), '16 Jan 2025');
+    assert.strictEqual(ReceiptLayout.formatDatePattern('2025-12-01', 'MMM-YY'), 'Dec-25');
+});
+
+test('text in single quotes prints as written', () => {
+    assert.strictEqual(ReceiptLayout.formatDatePattern(billDate, "hh:mm A 'at' DD MMM"), '02:05 PM at 16 Jan');
+    assert.strictEqual(ReceiptLayout.formatDatePattern(billDate, "'Date' DD/MM 'Amt'"), 'Date 16/01 Amt');
+});
+
+test('the template schema rejects letters that are not tokens', () => {
+    ['DD/MM/YYYY', 'DD MMM YYYY', 'hh:mm:ss A', "DD 'de' MMM", 'DDMMYYYY'].forEach(pattern => {
+        assert.deepStrictEqual(validateDateFormat(pattern).errors, [], pattern);
+    });
+    ['DD Mon YYYY', 'MMMM', 'D/M/YY', "DD 'MMM"].forEach(pattern => {
+        const { errors } = validateDateFormat(pattern);
+        assert.strictEqual(errors.length, 1, pattern);
+        assert.strictEqual(errors[0].path, 'receipt_template.date_format');
+    });
+});
+
+test('an unquoted formatter pattern keeps its colons', () => {
+    assert.deepStrictEqual(ReceiptLayout.parseVariable('bill_date | time:HH:mm:ss').formatters, [{ name: 'time', args: ['HH:mm:ss'] }]);
+    assert.strictEqual(ReceiptLayout.replaceVariables('${bill_date | time:HH:mm}', { bill_date: billDate }), '14:05');
+    assert.strictEqual(ReceiptLayout.replaceVariables('${bill_date | time:"hh:mm A"}', { bill_date: billDate }), '02:05 PM');
+    assert.strictEqual(ReceiptLayout.evaluateCondition("${bill_date | time:HH:mm} == '14:05'", { bill_date: billDate }), true);
+    assert.strictEqual(ReceiptLayout.checkCondition("${bill_date | time:HH:mm} != '14:00'"), null);
+});
+
+test('formatter arguments that cannot work are reported by checkCondition', () => {
+    assert.strictEqual(ReceiptLayout.checkCondition('${bill_date | date:DD Mon YYYY}'),
+        'date pattern "DD Mon YYYY" has letters that aren\'t DD MM MMM YYYY YY HH hh mm ss A (quote other text)');
+    assert.strictEqual(ReceiptLayout.checkCondition('${customer_name | upper:20}'), 'formatter "upper" takes no argument, not "20"');
+    assert.strictEqual(ReceiptLayout.checkCondition('${customer_name | truncate:ten}'), 'truncate length must be a number, not "ten"');
+    assert.strictEqual(ReceiptLayout.checkCondition("${customer_name | default:'N/A: none'}"), null);
+});
@@ -0,0 +1,88 @@
+/**
+ * due_balance and the print_due templates: the customer's ledger position
+ * (ReceiptTotals.calculateDue)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptTotals = require('../js/receipt-totals.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const sample = require('../data/variables-example.json');
+
+const due = { total: 1040, previous_balance: 2500, amount_paid: 1000, due_date: '2025-02-15' };
+
+const template = { receipt_template: { characterWidth: 32, elements: [{ type: 'due_balance' }] } };
+
+test('prints previous balance, this bill, paid now, balance due and due date', () => {
+    assert.strictEqual(PrintTemplateEngine.renderPlainText(template, due), [
+        'Previous Balance:      ₹2,500.00',
+        'This Bill:             ₹1,040.00',
+        'Paid Now:             -₹1,000.00',
+        '--------------------------------',
+        'BALANCE DUE:           ₹2,540.00',
+        '--------------------------------',
+        'Due Date:             15/02/2025'
+    ].join('\n'));
+});
+
+test('paying more than is owed prints an advance without a due date', () => {
+    assert.strictEqual(PrintTemplateEngine.renderPlainText(template, { total: 0, previous_balance: 500, amount_paid: 800, due_date: '2025-02-15' }), [
+        'Previous Balance:        ₹500.00',
+        'Paid Now:               -₹800.00',
+        '--------------------------------',
+        'ADVANCE:                 ₹300.00',
+        '--------------------------------'
+    ].join('\n'));
+});
+
+test('amount paid defaults to the split payments', () => {
+    assert.deepStrictEqual(ReceiptTotals.calculateDue({ total: 1040, previous_balance: 100, payments: [{ amount: 600 }, { amount: 40 }] }),
+        { previous_balance: 100, bill_amount: 1040, paid: 640, outstanding: 500 });
+    assert.deepStrictEqual(ReceiptTotals.calculateDue({ total: 1040 }),
+        { previous_balance: 0, bill_amount: 1040, paid: 0, outstanding: 1040 });
+});
+
+test('an outstanding_balance that does not add up is warned about', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let block;
+    try {
+        block = ReceiptLayout.layoutTemplate(template, { ...due, outstanding_balance: 2000 }).blocks[0];
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.deepStrictEqual(warnings, ["Due balance doesn't add up: outstanding_balance is 2000, expected 2540.00"]);
+    assert.deepStrictEqual(block.warnings, ['outstanding_balance is 2000, expected 2540.00']);
+});
+
+test('the printer prints the balance due bold and double height', () => {
+    const bytes = Buffer.from(new ESCPOSGenerator().processElement({ type: 'due_balance' }, due, 32)).toString('latin1');
+    assert.ok(bytes.includes('\x1B!\x00Previous Balance:    Rs.2,500.00'));
+    assert.ok(bytes.includes('\x1B!\x00Paid Now:           -Rs.1,000.00'));
+    assert.ok(bytes.includes('\x1B!\x18BALANCE DUE:         Rs.2,540.00'));
+});
+
+test('the preview marks each ledger row', () => {
+    const html = PrintTemplateEngine.renderPreview(template, due);
+    ['due-previous', 'due-bill', 'due-paid', 'due-outstanding', 'due-date'].forEach(className => {
+        assert.ok(html.includes(className), className);
+    });
+});
+
+test('the print_due templates show the ledger after the totals', () => {
+    const data = { ...sample, payment_type: 'due', previous_balance: 2500, amount_paid: 1000, due_date: '2025-02-15' };
+    ['print_due_2inch_template.json', 'print_due_3inch_template.json'].forEach(name => {
+        const dueTemplate = require(`../templates/${name}`);
+        const types = dueTemplate.receipt_template.elements.map(element => element.type);
+        assert.ok(types.indexOf('due_balance') > types.indexOf('total_amount_row'), name);
+
+        const text = PrintTemplateEngine.renderPlainText(dueTemplate, data);
+        assert.match(text, /^BALANCE DUE: +₹2,540\.00$/m, name);
+        assert.match(text, /^Due Date: +15\/02\/2025$/m, name);
+    });
+});
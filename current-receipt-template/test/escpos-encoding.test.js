@@ -0,0 +1,76 @@
+/**
+ * ESCPOSEncoder: codepage selection, the ₹ glyph and ASCII substitutions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ESCPOSEncoder = require('../../printer-implementation/escpos-encoding.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const data = require('../data/variables-example.json');
+
+const ESC = 0x1B;
+
+function ascii(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+}
+
+/**
+ * The printed text of the TOTAL row with the given encoding options
+ */
+function totalLine(encoding) {
+    const bytes = new ESCPOSGenerator({ encoding }).processElement({ type: 'total_amount_row_simple' }, data, 32);
+    return Buffer.from(bytes).toString('latin1').match(/TOTAL:[^\x1B]*/)[0];
+}
+
+test('initialize selects the codepage with ESC t', () => {
+    assert.deepStrictEqual(new ESCPOSEncoder().initialize(), [ESC, 0x74, 0]);
+    assert.deepStrictEqual(new ESCPOSEncoder({ codepage: 'PC858' }).initialize(), [ESC, 0x74, 19]);
+    assert.deepStrictEqual(new ESCPOSEncoder({ codepage: 'WPC1252' }).initialize(), [ESC, 0x74, 16]);
+});
+
+test('an unknown codepage is refused', () => {
+    assert.throws(() => new ESCPOSEncoder({ codepage: 'PC999' }), /Unsupported codepage: PC999/);
+});
+
+test('₹ is substituted with Rs. by default', () => {
+    const encoder = new ESCPOSEncoder();
+    assert.strictEqual(encoder.transliterate('₹10'), 'Rs.10');
+    assert.deepStrictEqual(encoder.encode('₹10'), ascii('Rs.10'));
+});
+
+test('characters outside the codepage are substituted or become ?', () => {
+    const encoder = new ESCPOSEncoder();
+    assert.deepStrictEqual(encoder.encode('2×€'), ascii('2xEUR'));
+    assert.deepStrictEqual(encoder.encode('☃'), [0x3F]);
+});
+
+test('PC858 prints € and accented letters from its own table', () => {
+    assert.deepStrictEqual(new ESCPOSEncoder({ codepage: 'PC858' }).encode('€é'), [0xD5, 0x82]);
+});
+
+test('glyph fallback defines ₹ on 0x7E and turns user-defined characters on', () => {
+    const bytes = new ESCPOSEncoder({ fallback: 'glyph' }).initialize();
+
+    assert.deepStrictEqual(bytes.slice(0, 3), [ESC, 0x74, 0]);
+    // ESC & y c1 c2 x: 3 bytes per column, code 0x7E only, 12 columns wide
+    assert.deepStrictEqual(bytes.slice(3, 9), [ESC, 0x26, 3, 0x7E, 0x7E, 12]);
+    assert.strictEqual(bytes.length, 3 + 6 + 12 * 3 + 3);
+    assert.deepStrictEqual(bytes.slice(-3), [ESC, 0x25, 1]);
+});
+
+test('glyph fallback prints ₹ as 0x7E and a literal ~ as -', () => {
+    const encoder = new ESCPOSEncoder({ fallback: 'glyph' });
+    assert.deepStrictEqual(encoder.encode('₹5'), [0x7E, 0x35]);
+    assert.deepStrictEqual(encoder.encode('a~b'), ascii('a-b'));
+});
+
+test('substituted rows are padded after substitution so they keep their width', () => {
+    const substituted = totalLine({});
+    const glyph = totalLine({ codepage: 'PC858', fallback: 'glyph' });
+
+    assert.strictEqual(substituted, 'TOTAL:               Rs.1,040.00');
+    assert.strictEqual(glyph, 'TOTAL:                 ~1,040.00');
+    assert.strictEqual(substituted.length, 32);
+    assert.strictEqual(glyph.length, 32);
+});
@@ -0,0 +1,237 @@
+/**
+ * ESCPOSGenerator: the command bytes each element type prints
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+const TemplateSchema = require('../js/template-schema.js');
+const data = require('../data/variables-example.json');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+
+function template(...elements) {
+    return { receipt_template: { characterWidth: 32, elements } };
+}
+
+/**
+ * Generate template with data and return the console warnings it logged
+ */
+function generateWarnings(receiptTemplate, receiptData) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        new ESCPOSGenerator().generate(receiptTemplate, receiptData);
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+function ascii(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+}
+
+/**
+ * Index of a byte sequence in the generated commands, or -1
+ */
+function indexOfBytes(bytes, sequence) {
+    for (let index = 0; index <= bytes.length - sequence.length; index++) {
+        if (sequence.every((byte, offset) => bytes[index + offset] === byte)) return index;
+    }
+    return -1;
+}
+
+test('a receipt starts with ESC @ and the codepage, and ends with a feed and GS V cut', () => {
+    const bytes = Array.from(new ESCPOSGenerator().generate(template({ type: 'newline' }), data));
+    assert.deepStrictEqual(bytes.slice(0, 5), [ESC, 0x40, ESC, 0x74, 0x00]);
+    assert.deepStrictEqual(bytes.slice(-6), [ESC, 0x64, 3, GS, 0x56, 0x00]);
+});
+
+test('text prints with its alignment and style, then resets them', () => {
+    const element = { type: 'text', value: 'Hi ${shop_name}', alignment: 'CENTER', font_weight: 'BOLD' };
+    assert.deepStrictEqual(new ESCPOSGenerator().processElement(element, data, 32), [
+        ESC, 0x61, 1,
+        ESC, 0x21, 0x08,
+        ...ascii('Hi Tohands Store'),
+        ESC, 0x64, 1,
+        ESC, 0x21, 0x00,
+        ESC, 0x61, 0
+    ]);
+});
+
+test('rows and rules print as padded lines of the full character width', () => {
+    const bytes = new ESCPOSGenerator().processElement({ type: 'transaction_payment_row' }, data, 32);
+    const row = 'Type: Sale          Payment: UPI';
+    assert.strictEqual(row.length, 32);
+    assert.notStrictEqual(indexOfBytes(bytes, [ESC, 0x61, 0, ESC, 0x21, 0x00, ...ascii(row), ESC, 0x64, 1]), -1);
+    assert.deepStrictEqual(bytes.slice(0, 6 + 32), [ESC, 0x61, 0, ESC, 0x21, 0x00, ...ascii('-'.repeat(32))]);
+});
+
+test('every element type in the template schema prints without an unknown-type warning', () => {
+    const generator = new ESCPOSGenerator();
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+        TemplateSchema.getElementTypes().forEach(type => {
+            const bytes = generator.processElement({ type }, data, 32);
+            assert.ok(Array.isArray(bytes), type);
+        });
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings.filter(message => message.startsWith('Unknown element type')), []);
+});
+
+test('an unknown element type is warned about', () => {
+    assert.deepStrictEqual(generateWarnings(template({ type: 'bill_itmes' }), data), ['Unknown element type: bill_itmes']);
+});
+
+test('elements that print nothing are not warned about as unknown', () => {
+    const receiptTemplate = template(
+        { type: 'bill_items' },
+        { type: 'text', value: 'Hidden', when: false },
+        { type: 'cut_paper' }
+    );
+    assert.deepStrictEqual(generateWarnings(receiptTemplate, { ...data, items: [] }), []);
+});
+
+const GS_K = [0x1D, 0x6B];
+
+// value undefined prints the barcode of bill_number
+function barcodeTemplate(value, symbology = 'CODE128') {
+    return { receipt_template: { characterWidth: 48, elements: [{ type: 'barcode', value, symbology }] } };
+}
+
+const noBillNumber = { ...data, bill_number: '' };
+
+test('CODE128 data of up to 255 bytes with its code set prefix prints', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        // 253 characters + {B, and 506 digits as 253 pairs + {C
+        ['X'.repeat(253), '1'.repeat(506)].forEach(value => {
+            const bytes = new ESCPOSGenerator().generate(barcodeTemplate(value), data);
+            const at = indexOfBytes(bytes, GS_K);
+            assert.notStrictEqual(at, -1, `${value.length} characters`);
+            assert.strictEqual(bytes[at + 3], 255, `${value.length} characters`);
+        });
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('empty and over-long barcodes are skipped with a warning', () => {
+    [
+        [undefined, 'CODE128 barcode has no data'],
+        ['X'.repeat(254), `CODE128 barcode data is 256 bytes, more than the 255 GS k takes: ${'X'.repeat(254)}`],
+        ['1'.repeat(508), `CODE128 barcode data is 256 bytes, more than the 255 GS k takes: ${'1'.repeat(508)}`],
+        ['A'.repeat(256), `CODE39 barcode data is 256 bytes, more than the 255 GS k takes: ${'A'.repeat(256)}`, 'CODE39']
+    ].forEach(([value, message, symbology]) => {
+        const onWarning = [];
+        const logged = [];
+        const warn = console.warn;
+        console.warn = text => logged.push(text);
+        let bytes;
+        try {
+            bytes = new ESCPOSGenerator().generate(barcodeTemplate(value, symbology), noBillNumber,
+                { validation: 'lenient', onWarning: text => onWarning.push(text) });
+        } finally {
+            console.warn = warn;
+        }
+        assert.strictEqual(indexOfBytes(bytes, GS_K), -1, message);
+        assert.deepStrictEqual(onWarning, [message]);
+        assert.ok(logged.includes(`Skipping barcode: ${message}`), message);
+    });
+});
+
+test('strict validation refuses to print a barcode GS k cannot take', () => {
+    assert.throws(() => new ESCPOSGenerator().generate(barcodeTemplate(undefined), noBillNumber, { validation: 'strict' }),
+        /^Error: Cannot print barcode: CODE128 barcode has no data$/);
+    assert.throws(() => new ESCPOSGenerator().generate(barcodeTemplate('X'.repeat(300)), data, { validation: 'strict' }),
+        /^Error: Cannot print barcode: CODE128 barcode data is 302 bytes/);
+});
+
+test('barcodes print with GS H, GS f, GS h, GS w and GS k function B', () => {
+    const element = { type: 'barcode', value: 'BILL-2025-001', height: 60, module_width: 3, hri: 'ABOVE', alignment: 'LEFT' };
+    assert.deepStrictEqual(new ESCPOSGenerator().processElement(element, data, 48), [
+        ESC, 0x61, 0,
+        GS, 0x48, 1,
+        GS, 0x66, 0,
+        GS, 0x68, 60,
+        GS, 0x77, 3,
+        ...GS_K, 73, 15, 0x7B, 0x42, ...ascii('BILL-2025-001'),
+        ESC, 0x64, 1,
+        ESC, 0x61, 0
+    ]);
+});
+
+test('GS k gets each symbology in the form the printer expects', () => {
+    const bytes = (value, symbology) => {
+        const printed = new ESCPOSGenerator().processElement({ type: 'barcode', value, symbology }, data, 48);
+        const at = indexOfBytes(printed, GS_K);
+        return printed.slice(at + 2, at + 4 + printed[at + 3]);
+    };
+
+    // CODE128 digit pairs as code set C values
+    assert.deepStrictEqual(bytes('20250101', 'CODE128'), [73, 6, 0x7B, 0x43, 20, 25, 1, 1]);
+    // EAN-13 without its check digit, which the printer adds
+    assert.deepStrictEqual(bytes('4006381333931', 'EAN13'), [67, 12, ...ascii('400638133393')]);
+    // CODE39 upper-cased, without the * the printer adds
+    assert.deepStrictEqual(bytes('inv-42', 'CODE39'), [69, 6, ...ascii('INV-42')]);
+});
+
+const GS_PAREN_K = [0x1D, 0x28, 0x6B];
+
+function qrElement(value, element = {}) {
+    return { type: 'qr_code', value, ...element };
+}
+
+test('QR codes print with GS ( k: model 2, module size, error correction, data, print', () => {
+    const element = qrElement('HELLO', { size: 'SMALL', error_correction: 'H' });
+    assert.deepStrictEqual(new ESCPOSGenerator().processElement(element, data, 32), [
+        ESC, 0x61, 1,
+        ...GS_PAREN_K, 4, 0, 0x31, 0x41, 0x32, 0x00,
+        ...GS_PAREN_K, 3, 0, 0x31, 0x43, 3,
+        ...GS_PAREN_K, 3, 0, 0x31, 0x45, 0x33,
+        ...GS_PAREN_K, 8, 0, 0x31, 0x50, 0x30, ...ascii('HELLO'),
+        ...GS_PAREN_K, 3, 0, 0x31, 0x51, 0x30,
+        ESC, 0x64, 1,
+        ESC, 0x61, 0
+    ]);
+});
+
+test('GS ( k stores QR data as UTF-8 and counts its bytes', () => {
+    const bytes = new ESCPOSGenerator().processElement(qrElement('₹1'), data, 32);
+    assert.notStrictEqual(indexOfBytes(bytes, [...GS_PAREN_K, 7, 0, 0x31, 0x50, 0x30, 0xE2, 0x82, 0xB9, 0x31]), -1);
+});
+
+test('printers without GS ( k get the encoded symbol as a GS v 0 raster image', () => {
+    const generator = new ESCPOSGenerator({ capabilities: { nativeQR: false } });
+    const bytes = generator.processElement(qrElement('HELLO'), data, 32);
+    const bitmap = ReceiptLayout.layoutElement(qrElement('HELLO'), data, 32).lines[0].bitmap;
+
+    assert.strictEqual(indexOfBytes(bytes, GS_PAREN_K), -1);
+    // MEDIUM: 21 modules x 6 dots = 126 rows of 48 bytes
+    const start = indexOfBytes(bytes, [GS, 0x76, 0x30, 0x00, 48, 0, 126, 0]);
+    assert.notStrictEqual(start, -1);
+    assert.deepStrictEqual(bytes.slice(start + 8, start + 8 + 48 * 126), Array.from(bitmap.data));
+    assert.deepStrictEqual(bytes.slice(start + 8 + 48 * 126), [ESC, 0x64, 1]);
+});
+
+test('raster QR printing refuses data that could not be encoded', () => {
+    const generator = new ESCPOSGenerator({ capabilities: { nativeQR: false } });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.throws(() => generator.processElement(qrElement('a'.repeat(3000)), data, 32),
+            /QR code could not be encoded for raster printing: a{3000}$/);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,119 @@
+/**
+ * GSTCompliance.check: seller GSTIN, invoice number, inter- vs intra-state
+ * tax, the tax breakup and when conditions it can't evaluate
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const GSTCompliance = require('../js/gst-compliance.js');
+const sample = require('../data/variables-example.json');
+const template = require('../templates/print_bill_2inch_template.json');
+
+// The sample data with a GSTIN whose check digit is right
+const data = { ...sample, gstin: '29ABCDE1234F1ZW' };
+
+function codes(issues) {
+    return issues.map(issue => issue.code);
+}
+
+function withElements(elements) {
+    return { receipt_template: { ...template.receipt_template, elements } };
+}
+
+test('the bundled bill template passes with the sample data', () => {
+    const result = GSTCompliance.check(template, data);
+    assert.deepStrictEqual(result.errors, []);
+    assert.ok(!codes(result.warnings).includes('GSTIN_CHECK_DIGIT'));
+});
+
+test('a missing GSTIN is an error', () => {
+    ['', undefined, '  '].forEach(gstin => {
+        assert.deepStrictEqual(GSTCompliance.check(template, { ...data, gstin }).errors, [
+            { code: 'GSTIN_MISSING', field: 'gstin', message: 'Seller GSTIN is required on a tax invoice', element: null }
+        ]);
+    });
+});
+
+test('a GSTIN in the wrong format is an error on the element that prints it', () => {
+    const { errors } = GSTCompliance.check(template, { ...data, gstin: '29ABCDE1234F1X5' });
+    assert.deepStrictEqual(errors, [{
+        code: 'GSTIN_INVALID',
+        field: 'gstin',
+        message: 'GSTIN "29ABCDE1234F1X5" doesn\'t match the GSTIN format (e.g. 29ABCDE1234F1Z5)',
+        element: 4
+    }]);
+});
+
+test('a GSTIN with an unknown state code is an error', () => {
+    const { errors } = GSTCompliance.check(template, { ...data, gstin: '45ABCDE1234F1ZW' });
+    assert.deepStrictEqual(codes(errors), ['GSTIN_STATE', 'TAX_TYPE']);
+});
+
+test('a wrong GSTIN check digit is a warning', () => {
+    assert.strictEqual(GSTCompliance.getGSTINCheckDigit('29ABCDE1234F1Z5'), 'W');
+    const result = GSTCompliance.check(template, { ...data, gstin: '29ABCDE1234F1Z5' });
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings.find(issue => issue.code === 'GSTIN_CHECK_DIGIT'),
+        { code: 'GSTIN_CHECK_DIGIT', field: 'gstin', message: 'GSTIN check digit should be W, not 5', element: 4 });
+});
+
+test('an invoice number over 16 characters is an error', () => {
+    assert.deepStrictEqual(GSTCompliance.check(template, { ...data, bill_number: 'INV-2025-26-0001' }).errors, []);
+    assert.deepStrictEqual(GSTCompliance.check(template, { ...data, bill_number: 'INV/2025-26/000123' }).errors, [{
+        code: 'INVOICE_NUMBER_LENGTH',
+        field: 'bill_number',
+        message: 'Invoice number "INV/2025-26/000123" is 18 characters, at most 16 allowed',
+        element: null
+    }]);
+});
+
+test('an inter-state supply must charge IGST, not CGST and SGST', () => {
+    const interState = { ...data, place_of_supply: '27-Maharashtra' };
+    assert.deepStrictEqual(GSTCompliance.check(template, interState).errors, [{
+        code: 'TAX_TYPE',
+        field: 'tax',
+        message: 'Supply to state 27 from state 29 is inter-state: charge IGST, not CGST/SGST',
+        element: null
+    }]);
+
+    const igst = { cgst: { rate: 0, amount: 0 }, sgst: { rate: 0, amount: 0 }, igst: { rate: 18, amount: 90 } };
+    assert.deepStrictEqual(GSTCompliance.check(template, { ...interState, tax: igst }).errors, []);
+});
+
+test('an intra-state supply must charge CGST and SGST, not IGST', () => {
+    const igst = { cgst: { rate: 0, amount: 0 }, sgst: { rate: 0, amount: 0 }, igst: { rate: 18, amount: 90 } };
+    assert.deepStrictEqual(GSTCompliance.check(template, { ...data, tax: igst }).errors, [{
+        code: 'TAX_TYPE',
+        field: 'tax',
+        message: 'Supply within state 29 is intra-state: charge CGST + SGST, not IGST',
+        element: null
+    }]);
+});
+
+test('an inter_state flag that disagrees with the place of supply is a warning', () => {
+    const result = GSTCompliance.check(template, { ...data, inter_state: true });
+    assert.ok(codes(result.warnings).includes('INTER_STATE_FLAG'));
+});
+
+test('a printed GSTIN without a totals row or tax summary is TAX_BREAKUP_MISSING', () => {
+    const elements = template.receipt_template.elements.filter(element => element.type !== 'total_amount_row');
+    assert.deepStrictEqual(GSTCompliance.check(withElements(elements), data).errors, [{
+        code: 'TAX_BREAKUP_MISSING',
+        field: 'tax',
+        message: 'GSTIN is printed but no total_amount_row or tax_summary prints the tax breakup',
+        element: null
+    }]);
+
+    const withSummary = [...elements, { type: 'tax_summary' }];
+    assert.ok(!codes(GSTCompliance.check(withElements(withSummary), data).errors).includes('TAX_BREAKUP_MISSING'));
+});
+
+test('a when condition that cannot be evaluated is an error on its element', () => {
+    const elements = template.receipt_template.elements.map((element, index) => (index === 4 ? { ...element, when: '${gstin} ==' } : element));
+    const { errors } = GSTCompliance.check(withElements(elements), data);
+    assert.deepStrictEqual(errors, [
+        { code: 'CONDITION_INVALID', field: 'when', message: 'elements[4]: Invalid when condition "${gstin} ==": unexpected end', element: 4 },
+        { code: 'GSTIN_NOT_PRINTED', field: 'gstin', message: 'No element prints ${gstin}', element: null }
+    ]);
+});
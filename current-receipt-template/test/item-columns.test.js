@@ -0,0 +1,176 @@
+/**
+ * bill_items / item_header_row: declarative item table columns and name wrapping
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+
+const items = [
+    { name: 'Basmati Rice Premium 5kg', sku: 'BR-5', hsn: '1006', qty: 2, rate: 499.5, amount: 999 },
+    { name: 'Salt', sku: 'S1', qty: 1, unit: 'kg', rate: 20, amount: 20 }
+];
+
+const columns = [
+    { field: 'slNo', header: '#', width: 2 },
+    { field: 'name', header: 'Item', flex: 1 },
+    { field: 'sku', header: 'SKU', width: 5 },
+    { field: 'hsn', header: 'HSN', width: 4, when: '${gstin}' },
+    { field: 'qty', header: 'Qty', width: 3, align: 'RIGHT' },
+    { field: 'unit', header: 'Unit', width: 4, format: 'default:pc' },
+    { field: 'amount', header: 'Amount', width: 8, align: 'RIGHT', format: 'number' }
+];
+
+function template(characterWidth, ...elements) {
+    return { receipt_template: { characterWidth, elements } };
+}
+
+function plainLines(receiptTemplate, data) {
+    return PrintTemplateEngine.renderPlainText(receiptTemplate, data).split('\n');
+}
+
+test('without columns the table is # / Item / Qty / Price / Amount', () => {
+    assert.deepStrictEqual(plainLines(template(32, { type: 'item_header_row' }, { type: 'bill_items' }), { items }), [
+        '#  Item    Qty    Price   Amount',
+        '1  Basmati   2   499.50   999.00',
+        '2  Salt      1    20.00    20.00'
+    ]);
+});
+
+test('columns choose the fields, headers, widths, alignment and formatters', () => {
+    const receiptTemplate = template(48, { type: 'item_header_row' }, { type: 'bill_items', columns });
+    assert.deepStrictEqual(plainLines(receiptTemplate, { items, gstin: '29ABCDE1234F1ZW' }), [
+        '#  Item             SKU   HSN  Qty Unit   Amount',
+        '1  Basmati Rice Pre BR-5  1006   2 pc     999.00',
+        '2  Salt             S1           1 kg      20.00'
+    ]);
+});
+
+test('columns whose when is false and the serial number column can be dropped', () => {
+    const receiptTemplate = template(48,
+        { type: 'item_header_row', show_serial_no: false },
+        { type: 'bill_items', columns, show_serial_no: false });
+    assert.deepStrictEqual(plainLines(receiptTemplate, { items }), [
+        'Item                     SKU   Qty Unit   Amount',
+        'Basmati Rice Premium 5kg BR-5    2 pc     999.00',
+        'Salt                     S1      1 kg      20.00'
+    ]);
+});
+
+test('flex columns share the width left over by weight', () => {
+    const element = {
+        type: 'bill_items',
+        columns: [
+            { field: 'name', flex: 2 },
+            { field: 'sku', flex: 1 },
+            { field: 'amount', width: 8, align: 'RIGHT' }
+        ]
+    };
+    const row = ReceiptLayout.layoutElement(element, { items }, 32).lines[0];
+    // 32 - 8 - 2 separators = 22 left: 14 and 8
+    assert.deepStrictEqual(row.cells.map(cell => cell.width), [14, 8, 8]);
+    assert.deepStrictEqual(row.cells.map(cell => cell.className), ['item-name', 'item-sku', 'item-amount']);
+});
+
+test('item_header_row takes the bill_items columns unless it has its own', () => {
+    const own = [{ field: 'name', header: 'Product' }];
+    const layout = ReceiptLayout.layoutTemplate(template(48,
+        { type: 'item_header_row' },
+        { type: 'item_header_row', columns: own },
+        { type: 'bill_items', columns }), { items });
+
+    assert.deepStrictEqual(layout.blocks[0].lines[0].cells.map(cell => cell.text), ['#', 'Item', 'SKU', 'Qty', 'Unit', 'Amount']);
+    assert.deepStrictEqual(layout.blocks[1].lines[0].cells.map(cell => cell.text), ['Product']);
+});
+
+test('columns wider than the line are warned about', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        ReceiptLayout.layoutElement({ type: 'bill_items', columns }, { items, gstin: '29ABCDE1234F1ZW' }, 24);
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings, ['Item columns need 32 characters, line has 24']);
+});
+
+test('the preview and the printer lay out the same columns', () => {
+    const receiptTemplate = template(48, { type: 'item_header_row' }, { type: 'bill_items', columns });
+    const data = { items, gstin: '29ABCDE1234F1ZW' };
+
+    const html = PrintTemplateEngine.renderPreview(receiptTemplate, data);
+    ['item-slno', 'item-name', 'item-sku', 'item-hsn', 'item-qty', 'item-unit', 'item-amount'].forEach(className => {
+        assert.ok(html.includes(className), className);
+    });
+
+    const bytes = Buffer.from(new ESCPOSGenerator().generate(receiptTemplate, data)).toString('latin1');
+    plainLines(receiptTemplate, data).forEach(line => assert.ok(bytes.includes(line), line));
+});
+
+const longNames = [
+    { name: 'Basmati Rice Premium 5kg', qty: 1, rate: 9999.9, amount: 9999.99 },
+    { name: 'Supercalifragilistic', qty: 2, rate: 5, amount: 10 }
+];
+
+function wrapTemplate(element) {
+    return template(32, { type: 'bill_items', ...element });
+}
+
+test('names are cut to the Item column by default', () => {
+    assert.deepStrictEqual(plainLines(wrapTemplate({}), { items: longNames }), [
+        '1  Basmati   1 9,999.90 9,999.99',
+        '2  Superca   2     5.00    10.00'
+    ]);
+});
+
+test('WRAP continues the name under the Item column, numbers on the first line', () => {
+    assert.deepStrictEqual(plainLines(wrapTemplate({ name_wrap: 'WRAP' }), { items: longNames }), [
+        '1  Basmati   1 9,999.90 9,999.99',
+        '   Rice',
+        '   Premium',
+        '   5kg',
+        '2  Superca   2     5.00    10.00',
+        '   lifragi',
+        '   listic'
+    ]);
+});
+
+test('WRAP with numbers_line LAST puts the numbers on the last line and # on the first', () => {
+    assert.deepStrictEqual(plainLines(wrapTemplate({ name_wrap: 'wrap', numbers_line: 'LAST' }), { items: longNames }), [
+        '1  Basmati',
+        '   Rice',
+        '   Premium',
+        '   5kg       1 9,999.90 9,999.99',
+        '2  Superca',
+        '   lifragi',
+        '   listic    2     5.00    10.00'
+    ]);
+});
+
+test('ABOVE prints the whole name on its own line above the numbers', () => {
+    assert.deepStrictEqual(plainLines(wrapTemplate({ name_wrap: 'ABOVE' }), { items: longNames }), [
+        'Basmati Rice Premium 5kg',
+        '1            1 9,999.90 9,999.99',
+        'Supercalifragilistic',
+        '2            2     5.00    10.00'
+    ]);
+});
+
+test('the preview marks continuation lines and the printer prints the same lines', () => {
+    ['WRAP', 'ABOVE'].forEach(mode => {
+        const receiptTemplate = wrapTemplate({ name_wrap: mode });
+        const classes = PrintTemplateEngine.renderPreview(receiptTemplate, { items: longNames })
+            .match(/class="receipt-(row|line) bill-item-row[^"]*"/g)
+            .map(match => (match.includes('item-continued') ? 'continued' : match.includes('item-name-line') ? 'name' : 'first'));
+        assert.deepStrictEqual(classes, mode === 'WRAP'
+            ? ['first', 'continued', 'continued', 'continued', 'first', 'continued', 'continued']
+            : ['name', 'continued', 'name', 'continued'], mode);
+
+        const bytes = Buffer.from(new ESCPOSGenerator().generate(receiptTemplate, { items: longNames })).toString('latin1');
+        plainLines(receiptTemplate, { items: longNames }).forEach(line => assert.ok(bytes.includes(line), `${mode}: ${line}`));
+    });
+});
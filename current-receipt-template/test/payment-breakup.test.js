@@ -0,0 +1,95 @@
+/**
+ * payment_breakup: split payments, one row per tender (ReceiptTotals.verifyPayments)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ReceiptTotals = require('../js/receipt-totals.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+
+const split = {
+    total: 1040,
+    payments: [
+        { mode: 'cash', amount: 500 },
+        { mode: 'upi', amount: 400, reference: '412345678901' },
+        { mode: 'card', amount: 140, card_last4: '123456', reference: 'AUTH77' }
+    ]
+};
+
+const template = { receipt_template: { characterWidth: 32, elements: [{ type: 'payment_breakup' }] } };
+
+/**
+ * Lay out the block and return it with the console warnings it logged
+ */
+function layoutBlock(data) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        const block = ReceiptLayout.layoutTemplate(template, data).blocks[0];
+        return { block, warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('lists each tender with its UTR or reference, then the amount paid', () => {
+    assert.strictEqual(PrintTemplateEngine.renderPlainText(template, split), [
+        'Payments',
+        'Cash                     ₹500.00',
+        'UPI                      ₹400.00',
+        '  UTR: 412345678901',
+        'Card ****3456            ₹140.00',
+        '  Ref: AUTH77',
+        'Total Paid:            ₹1,040.00',
+        '--------------------------------'
+    ].join('\n'));
+});
+
+test('verifyPayments checks the tenders add up to the total', () => {
+    assert.deepStrictEqual(ReceiptTotals.verifyPayments(split), { valid: true, paid: 1040, total: 1040, errors: [] });
+
+    const short = ReceiptTotals.verifyPayments({ ...split, total: 1100 });
+    assert.strictEqual(short.valid, false);
+    assert.deepStrictEqual(short.errors.map(error => error.message), ['payments add up to 1040.00, expected 1100.00']);
+});
+
+test('tenders that do not add up are warned about and kept as block warnings', () => {
+    const { block, warnings } = layoutBlock({ ...split, payments: [...split.payments, { mode: 'wallet', amount: 0 }] });
+    assert.deepStrictEqual(warnings, ["Payments don't add up: payments.3.amount must be more than 0"]);
+    assert.deepStrictEqual(block.warnings, ['payments.3.amount must be more than 0']);
+
+    const over = layoutBlock({ ...split, total: 1000 });
+    assert.deepStrictEqual(over.block.warnings, ['payments add up to 1040.00, expected 1000.00']);
+});
+
+test('a tender without a mode prints as Other', () => {
+    const { block } = layoutBlock({ total: 10, payments: [{ amount: 10 }] });
+    assert.strictEqual(block.lines[1].cells[0].text, 'Other');
+});
+
+test('hidden when there are no payments', () => {
+    const block = ReceiptLayout.layoutTemplate(template, { total: 1040 }).blocks[0];
+    assert.strictEqual(block.hidden, true);
+    assert.deepStrictEqual(new ESCPOSGenerator().processElement({ type: 'payment_breakup' }, { total: 1040 }, 32), []);
+});
+
+test('the preview and the printer print the same tenders', () => {
+    const html = PrintTemplateEngine.renderPreview(template, split);
+    assert.strictEqual(html.split('payment-reference').length, 3);
+    assert.ok(html.includes('payment-paid'));
+
+    const bytes = Buffer.from(new ESCPOSGenerator().generate(template, split)).toString('latin1');
+    ['Cash                   Rs.500.00', '  UTR: 412345678901', 'Card ****3456          Rs.140.00', 'Total Paid:          Rs.1,040.00']
+        .forEach(line => assert.ok(bytes.includes(line), line));
+});
+
+test('the preview page offers a Split payment mode', () => {
+    const page = fs.readFileSync(path.join(__dirname, '..', 'preview.html'), 'utf8');
+    assert.ok(page.includes('<option value="split">Split</option>'));
+});
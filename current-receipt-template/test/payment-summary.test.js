@@ -0,0 +1,84 @@
+/**
+ * payment_summary: Round Off, Net Payable, Tendered and Change on cash bills
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+
+const cash = { payment_type: 'Cash', total: 1040, round_off: -0.4, amount_tendered: 1100 };
+
+function template(characterWidth = 32) {
+    return { receipt_template: { characterWidth, elements: [{ type: 'payment_summary' }] } };
+}
+
+test('prints round off, net payable, tendered and change', () => {
+    assert.strictEqual(PrintTemplateEngine.renderPlainText(template(), cash), [
+        'Round Off:                -₹0.40',
+        'Net Payable:           ₹1,040.00',
+        'Tendered:              ₹1,100.00',
+        'Change:                   ₹60.00',
+        '--------------------------------'
+    ].join('\n'));
+});
+
+test('spreads its rows over 48 columns', () => {
+    assert.deepStrictEqual(PrintTemplateEngine.renderPlainText(template(48), cash).split('\n').slice(0, 2), [
+        'Round Off:                                -₹0.40',
+        'Net Payable:                           ₹1,040.00'
+    ]);
+});
+
+test('change_due from the data is printed instead of the computed change', () => {
+    assert.match(PrintTemplateEngine.renderPlainText(template(), { ...cash, change_due: 50 }), /^Change: +₹50\.00$/m);
+});
+
+test('round off, tendered and change are left out when the data has none', () => {
+    assert.strictEqual(PrintTemplateEngine.renderPlainText(template(), { payment_type: 'cash', total: 1040 }), [
+        'Net Payable:           ₹1,040.00',
+        '--------------------------------'
+    ].join('\n'));
+});
+
+test('hidden when the payment type is not cash', () => {
+    const block = ReceiptLayout.layoutTemplate(template(), { ...cash, payment_type: 'UPI' }).blocks[0];
+    assert.strictEqual(block.hidden, true);
+    assert.deepStrictEqual(block.lines, []);
+    assert.deepStrictEqual(new ESCPOSGenerator().processElement({ type: 'payment_summary' }, { ...cash, payment_type: 'UPI' }, 32), []);
+    assert.ok(!PrintTemplateEngine.renderPreview(template(), { ...cash, payment_type: 'UPI' }).includes('payment-row'));
+});
+
+test('tendering less than the total is a warning, with no change', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let block;
+    try {
+        block = ReceiptLayout.layoutTemplate(template(), { ...cash, amount_tendered: 1000 }).blocks[0];
+    } finally {
+        console.warn = warn;
+    }
+
+    const message = 'Tendered ₹1,000.00 is less than net payable ₹1,040.00';
+    assert.deepStrictEqual(warnings, [message]);
+    assert.deepStrictEqual(block.warnings, [message]);
+    assert.strictEqual(ReceiptLayout.toPlainText({ characterWidth: 32, blocks: [block] }).split('\n')[3], 'Change:                    ₹0.00');
+});
+
+test('the preview marks each row and the printer prints them with Rs.', () => {
+    const html = PrintTemplateEngine.renderPreview(template(), cash);
+    ['payment-round-off', 'payment-net', 'payment-tendered', 'payment-change'].forEach(className => {
+        assert.ok(html.includes(className), className);
+    });
+
+    const bytes = Buffer.from(new ESCPOSGenerator().generate(template(), cash)).toString('latin1');
+    [
+        'Round Off:              -Rs.0.40',
+        'Net Payable:         Rs.1,040.00',
+        'Tendered:            Rs.1,100.00',
+        'Change:                 Rs.60.00'
+    ].forEach(line => assert.ok(bytes.includes(line), line));
+});
@@ -0,0 +1,58 @@
+/**
+ * Golden-output tests for PrintTemplateEngine.renderPlainText
+ * Each bundled template is rendered with data/variables-example.json and
+ * compared with test/golden/<template>.txt, so a layout change shows up as a
+ * receipt diff. After an intended change, regenerate the files with
+ *   UPDATE_GOLDEN=1 node --test current-receipt-template/test/
+ * and review the diff.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+
+const root = path.join(__dirname, '..');
+const data = JSON.parse(fs.readFileSync(path.join(root, 'data/variables-example.json'), 'utf8'));
+const templates = fs.readdirSync(path.join(root, 'templates')).filter(name => /^print_.*\.json$/.test(name));
+
+templates.forEach(name => {
+    const template = JSON.parse(fs.readFileSync(path.join(root, 'templates', name), 'utf8'));
+    const characterWidth = template.receipt_template.characterWidth;
+
+    test(`${name} renders the golden receipt`, () => {
+        const text = PrintTemplateEngine.renderPlainText(template, data);
+        const goldenFile = path.join(__dirname, 'golden', name.replace(/\.json$/, '.txt'));
+
+        if (process.env.UPDATE_GOLDEN) {
+            fs.writeFileSync(goldenFile, `${text}\n`);
+        }
+        assert.strictEqual(`${text}\n`, fs.readFileSync(goldenFile, 'utf8'));
+    });
+
+    test(`${name} fits ${characterWidth} columns`, () => {
+        PrintTemplateEngine.renderPlainText(template, data).split('\n').forEach((line, index) => {
+            assert.ok(ReceiptLayout.textWidth(line) <= characterWidth,
+                `line ${index + 1} is ${ReceiptLayout.textWidth(line)} columns: "${line}"`);
+        });
+    });
+});
+
+test('QR and barcode stand-ins too long for the line keep their closing bracket', () => {
+    const template = {
+        receipt_template: {
+            characterWidth: 32,
+            elements: [
+                { type: 'qr_code', value: 'upi://pay?pa=merchant@upi&pn=Tohands%20Store&am=1040.00' },
+                { type: 'barcode', value: 'INV-2025-26-000123-TOHANDS-STORE', symbology: 'CODE128' }
+            ]
+        }
+    };
+    assert.deepStrictEqual(PrintTemplateEngine.renderPlainText(template, data).split('\n').filter(line => line.includes('[')), [
+        '[QR: upi://pay?pa=merchant@u...]',
+        '[CODE128: INV-2025-26-000123...]'
+    ]);
+});
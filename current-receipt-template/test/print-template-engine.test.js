@@ -0,0 +1,104 @@
+/**
+ * PrintTemplateEngine without a browser: string escaping, setLoaders, the ESM
+ * entry, and the same file still loading as a preview.html script
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const data = require('../data/variables-example.json');
+const schema = require('../data/variables-schema.json');
+const billTemplate = require('../templates/print_bill_2inch_template.json');
+
+const root = path.join(__dirname, '..');
+
+test('renders without document or window', () => {
+    assert.strictEqual(typeof document, 'undefined');
+    assert.strictEqual(typeof window, 'undefined');
+    assert.ok(PrintTemplateEngine.renderPreview(billTemplate, data).includes('receipt-'));
+    assert.ok(PrintTemplateEngine.renderPlainText(billTemplate, data).includes('Tohands Store'));
+});
+
+test('text is escaped for HTML without a DOM', () => {
+    const template = { receipt_template: { characterWidth: 32, elements: [{ type: 'text', value: '${shop_name}' }] } };
+    const html = PrintTemplateEngine.renderPreview(template, { shop_name: `<b>"Tom" & Jerry's</b>` });
+    assert.ok(html.includes('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>'));
+});
+
+// The tests below share the engine's loaders: the file-system defaults are checked before setLoaders replaces them
+
+test('in Node.js data, the schema and templates load from this directory', async () => {
+    assert.deepStrictEqual(await PrintTemplateEngine.loadSampleData(), data);
+    assert.deepStrictEqual(await PrintTemplateEngine.loadDataSchema(), schema);
+    assert.deepStrictEqual(await PrintTemplateEngine.loadTemplate('print_bill_2inch_template'), billTemplate);
+    assert.deepStrictEqual(await PrintTemplateEngine.loadTemplate('print_bill_2inch_template.json'), billTemplate);
+});
+
+test('setLoaders replaces where data, the schema and templates come from', async () => {
+    const names = [];
+    PrintTemplateEngine.setLoaders({
+        data: () => ({ shop_name: 'Fixture Store' }),
+        schema: async () => ({ type: 'object' }),
+        template: name => {
+            names.push(name);
+            return billTemplate;
+        }
+    });
+
+    assert.deepStrictEqual(await PrintTemplateEngine.loadSampleData(), { shop_name: 'Fixture Store' });
+    assert.deepStrictEqual(await PrintTemplateEngine.loadDataSchema(), { type: 'object' });
+    assert.strictEqual(await PrintTemplateEngine.loadTemplate('from-db'), billTemplate);
+    assert.deepStrictEqual(names, ['from-db']);
+});
+
+test('a data loader that fails falls back to the built-in sample data', async () => {
+    PrintTemplateEngine.setLoaders({ data: () => { throw new Error('offline'); } });
+    const errors = [];
+    const error = console.error;
+    console.error = (...args) => errors.push(args);
+    let loaded;
+    try {
+        loaded = await PrintTemplateEngine.loadSampleData();
+    } finally {
+        console.error = error;
+    }
+
+    assert.deepStrictEqual(loaded, PrintTemplateEngine.getDefaultSampleData());
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0][1].message, 'offline');
+});
+
+test('setLoaders refuses unknown loaders and loaders that are not functions', () => {
+    assert.throws(() => PrintTemplateEngine.setLoaders({ items: () => [] }), /^Error: Unknown loader: items \(use data, schema or template\)$/);
+    assert.throws(() => PrintTemplateEngine.setLoaders({ data: {} }), /^Error: The data loader must be a function$/);
+});
+
+test('the ES module entry exports the same engine, by name and as default', async () => {
+    const esm = await import(pathToFileURL(path.join(root, 'js', 'print-template-engine.mjs')).href);
+    assert.strictEqual(esm.default, PrintTemplateEngine);
+
+    const named = Object.keys(esm).filter(name => name !== 'default').sort();
+    assert.deepStrictEqual(named, Object.keys(PrintTemplateEngine).sort());
+    named.forEach(name => assert.strictEqual(esm[name], PrintTemplateEngine[name], name));
+});
+
+test('the scripts preview.html loads still define the engine as a global', () => {
+    const page = fs.readFileSync(path.join(root, 'preview.html'), 'utf8');
+    const scripts = [...page.matchAll(/<script src="(js\/[^"?]+)/g)].map(match => match[1]);
+    assert.strictEqual(scripts[scripts.length - 1], 'js/print-template-engine.js');
+
+    // No require, module or DOM: only what the page's scripts define
+    const context = vm.createContext({ console });
+    scripts.forEach(script => vm.runInContext(fs.readFileSync(path.join(root, script), 'utf8'), context, { filename: script }));
+    context.template = billTemplate;
+    context.data = data;
+
+    assert.strictEqual(vm.runInContext('PrintTemplateEngine.renderPlainText(template, data)', context),
+        PrintTemplateEngine.renderPlainText(billTemplate, data));
+});
@@ -0,0 +1,152 @@
+/**
+ * QREncoder: the symbols the preview draws and raster printing sends
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const QREncoder = require('../js/qr-encoder.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const data = require('../data/variables-example.json');
+
+// 'HELLO' at level M, byte mode; the same modules as other encoders produce with mask 3
+const HELLO = [
+    '#######.#..#..#######',
+    '#.....#.####..#.....#',
+    '#.###.#...#.#.#.###.#',
+    '#.###.#.#.#.#.#.###.#',
+    '#.###.#....#..#.###.#',
+    '#.....#....##.#.....#',
+    '#######.#.#.#.#######',
+    '........#..##........',
+    '#.##.###.#.##.#..#.##',
+    '.##.##.#.######..##..',
+    '#...#.#..#.#.......##',
+    '#.##...#...#..####.#.',
+    '.#.######...#..#..#.#',
+    '........####..#...#.#',
+    '#######.#..##..#.....',
+    '#.....#.#.#....#####.',
+    '#.###.#.....######.##',
+    '#.###.#.#.##..#.####.',
+    '#.###.#.##..#.##..#..',
+    '#.....#...#..#.##...#',
+    '#######.#.#..#.#.....'
+];
+
+const LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+function draw(symbol) {
+    return symbol.modules.map(row => row.map(dark => (dark ? '#' : '.')).join(''));
+}
+
+/**
+ * Both copies of the 15 format bits, unmasked
+ */
+function readFormatBits(symbol) {
+    const dark = (x, y) => (symbol.modules[y][x] ? 1 : 0);
+    const size = symbol.size;
+    const first = [];
+    const second = [];
+    for (let i = 0; i <= 5; i++) first.push(dark(8, i));
+    first.push(dark(8, 7), dark(8, 8), dark(7, 8));
+    for (let i = 9; i < 15; i++) first.push(dark(14 - i, 8));
+    for (let i = 0; i < 8; i++) second.push(dark(size - 1 - i, 8));
+    for (let i = 8; i < 15; i++) second.push(dark(8, size - 15 + i));
+
+    const value = bits => bits.reduce((sum, bit, i) => sum | (bit << i), 0) ^ 0x5412;
+    return [value(first), value(second)];
+}
+
+function qrTemplate(element) {
+    return { receipt_template: { characterWidth: 32, elements: [{ type: 'qr_code', ...element }] } };
+}
+
+test('encodes a known symbol module for module', () => {
+    const symbol = QREncoder.encode('HELLO', 'M');
+    assert.strictEqual(symbol.version, 1);
+    assert.strictEqual(symbol.size, 21);
+    assert.deepStrictEqual(draw(symbol), HELLO);
+});
+
+test('format bits carry the error correction level in both copies', () => {
+    Object.entries(LEVEL_BITS).forEach(([level, bits]) => {
+        const [first, second] = readFormatBits(QREncoder.encode('upi://pay?pa=merchant@upi', level));
+        assert.strictEqual(first, second, level);
+        assert.strictEqual(first >> 13, bits, level);
+
+        // BCH(15,5): the 10 check bits are the remainder of the 5 data bits
+        let remainder = first >> 10;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        assert.strictEqual(first & 0x3FF, remainder, level);
+    });
+});
+
+test('the version grows with the data', () => {
+    // Version 1 holds 17 bytes at L and 14 at M
+    assert.strictEqual(QREncoder.encode('a'.repeat(17), 'L').version, 1);
+    assert.strictEqual(QREncoder.encode('a'.repeat(18), 'L').version, 2);
+    assert.strictEqual(QREncoder.encode('a'.repeat(14), 'M').version, 1);
+    assert.strictEqual(QREncoder.encode('a'.repeat(15), 'M').version, 2);
+    assert.strictEqual(QREncoder.encode('a'.repeat(15), 'M').size, 25);
+});
+
+test('text is encoded as UTF-8 bytes', () => {
+    // ₹ is 3 bytes, so 5 of them need 15 bytes and version 2 at M
+    assert.strictEqual(QREncoder.encode('₹'.repeat(4), 'M').version, 1);
+    assert.strictEqual(QREncoder.encode('₹'.repeat(5), 'M').version, 2);
+});
+
+test('an unknown error correction level falls back to M', () => {
+    assert.deepStrictEqual(draw(QREncoder.encode('HELLO', 'X')), HELLO);
+});
+
+test('data too long for version 40 is refused', () => {
+    assert.throws(() => QREncoder.encode('a'.repeat(3000), 'M'), /QR data too long: 3000 bytes at error correction M/);
+});
+
+test('the layout draws the symbol at the module size, aligned on the paper', () => {
+    const line = ReceiptLayout.layoutTemplate(qrTemplate({ value: 'HELLO', size: 'MEDIUM' }), data).blocks[0].lines[0];
+    const bitmap = line.bitmap;
+    // 21 modules x 6 dots, centered on 384 dots
+    const left = (384 - 126) / 2;
+    assert.strictEqual(line.moduleSize, 6);
+    assert.strictEqual(bitmap.width, 384);
+    assert.strictEqual(bitmap.height, 126);
+
+    const dot = (x, y) => (bitmap.data[y * bitmap.bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) !== 0;
+    HELLO.forEach((row, y) => {
+        Array.from(row).forEach((module, x) => {
+            assert.strictEqual(dot(left + x * 6 + 5, y * 6 + 5), module === '#', `module ${x},${y}`);
+        });
+    });
+    assert.strictEqual(dot(left - 1, 0), false);
+
+    const rightLine = ReceiptLayout.layoutTemplate(qrTemplate({ value: 'HELLO', size: 'SMALL', alignment: 'RIGHT' }), data).blocks[0].lines[0];
+    assert.strictEqual(rightLine.bitmap.height, 63);
+    assert.strictEqual(rightLine.bitmap.data[rightLine.bitmap.bytesPerRow - 1] & 1, 1);
+});
+
+test('the preview shows the encoded symbol with its data', () => {
+    const template = qrTemplate({ value: 'upi://pay?pa=${upi_id}' });
+    const html = PrintTemplateEngine.renderPreview(template, { ...data, upi_id: 'shop@upi' });
+    assert.match(html, /<img class="receipt-qr" src="data:image\/bmp;base64,[A-Za-z0-9+/=]+" alt="QR Code" data-qr="upi:\/\/pay\?pa=shop@upi">/);
+});
+
+test('data that cannot be encoded warns and leaves no bitmap', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let layout;
+    try {
+        layout = ReceiptLayout.layoutTemplate(qrTemplate({ value: 'a'.repeat(3000) }), data);
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.deepStrictEqual(warnings, ['Could not encode QR code: QR data too long: 3000 bytes at error correction M']);
+    assert.strictEqual(layout.blocks[0].lines[0].bitmap, undefined);
+});
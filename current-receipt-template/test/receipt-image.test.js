@@ -0,0 +1,140 @@
+/**
+ * ReceiptImage: PNG logos decoded, dithered and printed with GS v 0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+
+const ReceiptImage = require('../js/receipt-image.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const data = require('../data/variables-example.json');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (crc & 1 ? 0xEDB88320 : 0);
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, body) {
+    const typed = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    crc.writeUInt32BE(crc32(typed));
+    return Buffer.concat([length, typed, crc]);
+}
+
+/**
+ * An 8-bit grayscale PNG as a data: URL
+ * @param {Array<Array<number>>} rows - Gray values, 0 = black, 255 = white
+ */
+function grayPNG(rows) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(rows[0].length, 0);
+    header.writeUInt32BE(rows.length, 4);
+    header[8] = 8; // bit depth
+    header[9] = 0; // grayscale
+    const scanlines = Buffer.from(rows.flatMap(row => [0, ...row]));
+    const png = Buffer.concat([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(scanlines)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+    return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+// 16 x 2: left half black, right half white
+const halfBlack = grayPNG([0, 1].map(() => [...Array(8).fill(0), ...Array(8).fill(255)]));
+
+function logoTemplate(image) {
+    return { receipt_template: { characterWidth: 32, elements: [{ type: 'placeholder_block', image, width: 16 }] } };
+}
+
+function indexOfBytes(bytes, sequence) {
+    for (let i = 0; i + sequence.length <= bytes.length; i++) {
+        if (sequence.every((byte, j) => bytes[i + j] === byte)) return i;
+    }
+    return -1;
+}
+
+test('decodePNG reads grayscale pixels', () => {
+    const image = ReceiptImage.decodePNG(Buffer.from(halfBlack.split(',')[1], 'base64'));
+    assert.strictEqual(image.width, 16);
+    assert.strictEqual(image.height, 2);
+    assert.strictEqual(image.gray[0], 0);
+    assert.strictEqual(image.gray[15], 255);
+});
+
+test('decodePNG refuses files that are not PNGs', () => {
+    assert.throws(() => ReceiptImage.decodePNG(new Uint8Array(16)), /Image is not a PNG file/);
+});
+
+test('loadBitmap centers the image on the paper width', () => {
+    const bitmap = ReceiptImage.loadBitmap(halfBlack, 32, 16);
+    assert.strictEqual(bitmap.width, 32);
+    assert.strictEqual(bitmap.height, 2);
+    assert.strictEqual(bitmap.bytesPerRow, 4);
+    // 8 white dots of margin, 8 black, 8 white, 8 white of margin
+    assert.deepStrictEqual(Array.from(bitmap.data), [0x00, 0xFF, 0x00, 0x00, 0x00, 0xFF, 0x00, 0x00]);
+});
+
+test('placeholder_block with an image prints it with GS v 0 at the paper width', () => {
+    const bytes = new ESCPOSGenerator().generate(logoTemplate(halfBlack), data);
+    // 32 columns = 384 dots = 48 bytes per row, 2 rows
+    const start = indexOfBytes(bytes, [GS, 0x76, 0x30, 0x00, 48, 0, 2, 0]);
+    assert.notStrictEqual(start, -1);
+
+    // The 16 dots are centered: (384 - 16) / 2 = 184 dots = byte 23 of each row
+    const rows = Array.from(bytes.slice(start + 8, start + 8 + 96));
+    assert.strictEqual(rows[23], 0xFF);
+    assert.deepStrictEqual(rows.slice(0, 48).filter(byte => byte !== 0), [0xFF]);
+    assert.deepStrictEqual(rows.slice(48), rows.slice(0, 48));
+});
+
+test('the preview shows the same dithered bitmap as an image', () => {
+    const html = PrintTemplateEngine.renderPreview(logoTemplate(halfBlack), data);
+    const bitmap = ReceiptLayout.layoutTemplate(logoTemplate(halfBlack), data).blocks[0].lines[0].bitmap;
+    assert.ok(html.includes(`<img class="receipt-logo" src="${ReceiptImage.bitmapToDataURL(bitmap)}"`));
+});
+
+test('tall images are sent in bands of at most 128 rows', () => {
+    const bitmap = ReceiptImage.createBitmap(16, 200);
+    const bytes = new ESCPOSGenerator().printRasterImage(bitmap);
+
+    const first = indexOfBytes(bytes, [GS, 0x76, 0x30, 0x00, 2, 0, 128, 0]);
+    const second = indexOfBytes(bytes, [GS, 0x76, 0x30, 0x00, 2, 0, 72, 0]);
+    assert.notStrictEqual(first, -1);
+    assert.strictEqual(second, first + 8 + 2 * 128);
+    assert.strictEqual(bytes.length, second + 8 + 2 * 72);
+});
+
+test('an unreadable image warns and reserves its height with ESC J', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    let bytes;
+    try {
+        bytes = new ESCPOSGenerator().generate({
+            receipt_template: { characterWidth: 32, elements: [{ type: 'placeholder_block', image: 'iVBORw0KGgoAAAA', height: 40 }] }
+        }, data);
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /^Could not load logo image, printing placeholder: /);
+    assert.notStrictEqual(indexOfBytes(bytes, [ESC, 0x4A, 40]), -1);
+    assert.strictEqual(indexOfBytes(bytes, [GS, 0x76, 0x30]), -1);
+});
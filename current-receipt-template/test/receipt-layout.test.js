@@ -0,0 +1,90 @@
+/**
+ * ReceiptLayout: the layout model the HTML preview, plain text and ESC/POS
+ * output share, and its fixed-width text helpers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ReceiptLayout = require('../js/receipt-layout.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+
+const data = require('../data/variables-example.json');
+const templatesDir = path.join(__dirname, '..', 'templates');
+const templates = fs.readdirSync(templatesDir)
+    .filter(name => /^print_.*\.json$/.test(name))
+    .map(name => [name, JSON.parse(fs.readFileSync(path.join(templatesDir, name), 'utf8'))]);
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+test('every block has a type, a class name and lines of known kinds', () => {
+    const kinds = ['text', 'row', 'rule', 'blank', 'image', 'qr', 'barcode'];
+    templates.forEach(([name, template]) => {
+        const layout = ReceiptLayout.layoutTemplate(template, data);
+        assert.strictEqual(layout.characterWidth, template.receipt_template.characterWidth, name);
+        assert.strictEqual(layout.blocks.length, template.receipt_template.elements.length, name);
+        layout.blocks.forEach((block, index) => {
+            assert.strictEqual(block.type, template.receipt_template.elements[index].type, `${name} block ${index}`);
+            assert.strictEqual(typeof block.className, 'string', `${name} block ${index}`);
+            block.lines.forEach(line => assert.ok(kinds.includes(line.kind), `${name} block ${index}: ${line.kind}`));
+        });
+    });
+});
+
+test('the preview shows the text of every text line and row cell in the layout', () => {
+    templates.forEach(([name, template]) => {
+        const html = PrintTemplateEngine.renderPreview(template, data);
+        ReceiptLayout.layoutTemplate(template, data).blocks.forEach(block => block.lines.forEach(line => {
+            const texts = line.kind === 'text' ? [line.text] : line.kind === 'row' ? line.cells.map(cell => cell.text) : [];
+            texts.filter(text => text.trim()).forEach(text => {
+                assert.ok(html.includes(escapeHtml(text)), `${name}: "${text}"`);
+            });
+        }));
+    });
+});
+
+test('the printer gets the same text lines as the plain-text receipt', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        templates.forEach(([name, template]) => {
+            const bytes = Buffer.from(new ESCPOSGenerator().generate(template, data)).toString('latin1');
+            PrintTemplateEngine.renderPlainText(template, data).split('\n')
+                .map(line => line.trim())
+                // ₹ is sent in the printer's codepage; QR and barcode stand-ins print as symbols
+                .filter(line => line && /^[\x20-\x7E]+$/.test(line) && !/^\[.*\]$/.test(line))
+                .forEach(line => assert.ok(bytes.includes(line), `${name}: "${line}"`));
+        });
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('alignText pads to the character width, centering to the left', () => {
+    assert.strictEqual(ReceiptLayout.alignText('abc', 'LEFT', 8), 'abc');
+    assert.strictEqual(ReceiptLayout.alignText('abc', 'RIGHT', 8), '     abc');
+    assert.strictEqual(ReceiptLayout.alignText('abc', 'CENTER', 8), '  abc');
+    assert.strictEqual(ReceiptLayout.alignText('too long', 'RIGHT', 4), 'too long');
+});
+
+test('wrapText breaks at spaces and cuts words longer than the line', () => {
+    assert.deepStrictEqual(ReceiptLayout.wrapText('Thank you for shopping with us', 12), ['Thank you', 'for shopping', 'with us']);
+    assert.deepStrictEqual(ReceiptLayout.wrapText('Supercalifragilistic', 8), ['Supercal']);
+    assert.deepStrictEqual(ReceiptLayout.wrapText('Basmati Supercalifragilistic', 8), ['Basmati', 'Supercal']);
+});
+
+test('textWidth counts ₹ as one column and combining marks as none', () => {
+    assert.strictEqual(ReceiptLayout.textWidth('₹1,040.00'), 9);
+    assert.strictEqual(ReceiptLayout.textWidth('नमस्ते'), 4);
+});
+
+test('rowToText pads cells to their widths and keeps a right-aligned row full width', () => {
+    const cells = [{ text: 'Total', width: 8, align: 'LEFT' }, { text: '₹10.00', width: 9, align: 'RIGHT' }];
+    assert.strictEqual(ReceiptLayout.rowToText({ cells, align: 'LEFT' }), 'Total       ₹10.00');
+    assert.strictEqual(ReceiptLayout.rowToText({ cells: [{ text: 'Paid', width: 8, align: 'LEFT' }], align: 'RIGHT' }), 'Paid    ');
+});
@@ -0,0 +1,133 @@
+/**
+ * ReceiptLocales: label bundles, locale selection and Indic lines printed as raster images
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptLocales = require('../js/receipt-locales.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const data = require('../data/variables-example.json');
+
+const GS_V_0 = [0x1D, 0x76, 0x30, 0x00];
+
+const template = {
+    receipt_template: {
+        characterWidth: 32,
+        elements: [{ type: 'bill_date_row' }, { type: 'transaction_payment_row' }, { type: 'total_amount_row_simple' }]
+    }
+};
+
+/**
+ * Run fn and return what it returned and the console warnings it logged
+ */
+function withWarnings(fn) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        return { result: fn(), warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+function countBytes(bytes, sequence) {
+    let count = 0;
+    for (let i = 0; i + sequence.length <= bytes.length; i++) {
+        if (sequence.every((byte, j) => bytes[i + j] === byte)) count++;
+    }
+    return count;
+}
+
+/**
+ * A rasterizeText that records its runs and draws a blank bitmap
+ */
+function recordingRasterizer(calls) {
+    return (runs, options) => {
+        calls.push({ runs, options });
+        const bytesPerRow = options.width / 8;
+        return { width: options.width, height: options.height, bytesPerRow, data: new Uint8Array(bytesPerRow * options.height) };
+    };
+}
+
+test('en-IN, hi-IN, kn-IN and ta-IN are available', () => {
+    assert.deepStrictEqual(ReceiptLocales.getLocales().map(locale => locale.code).slice(0, 4), ['en-IN', 'hi-IN', 'kn-IN', 'ta-IN']);
+});
+
+test('bundles only use label keys that en-IN has', () => {
+    const keys = Object.keys(ReceiptLocales.getLabels('en-IN'));
+    ['hi-IN', 'kn-IN', 'ta-IN'].forEach(locale => {
+        assert.deepStrictEqual(Object.keys(ReceiptLocales.getLabels(locale)).filter(key => !keys.includes(key)), [], locale);
+    });
+});
+
+test('labels a bundle lacks fall back to en-IN', () => {
+    ReceiptLocales.registerLocale('mr-IN', { bill_no: 'बिल क्र:', payment_modes: { cash: 'रोख' } });
+    const labels = ReceiptLocales.getLabels('mr-IN');
+    assert.strictEqual(labels.bill_no, 'बिल क्र:');
+    assert.strictEqual(labels.total, 'TOTAL:');
+    assert.strictEqual(ReceiptLocales.translate(labels.payment_modes, 'Cash'), 'रोख');
+    assert.strictEqual(ReceiptLocales.translate(labels.payment_modes, 'UPI'), 'UPI');
+});
+
+test('the render call picks the locale before the template, then en-IN', () => {
+    const hindi = { receipt_template: { locale: 'hi-IN' } };
+    assert.strictEqual(ReceiptLocales.resolveLocale(hindi, { locale: 'ta-IN' }), 'ta-IN');
+    assert.strictEqual(ReceiptLocales.resolveLocale(hindi, {}), 'hi-IN');
+    assert.strictEqual(ReceiptLocales.resolveLocale({ receipt_template: {} }), 'en-IN');
+    assert.strictEqual(ReceiptLocales.resolveLocale({}, { locale: 'kn' }), 'kn-IN');
+});
+
+test('an unknown locale warns and prints en-IN labels', () => {
+    const { result, warnings } = withWarnings(() => PrintTemplateEngine.renderPlainText(template, data, { locale: 'fr-FR' }));
+    assert.deepStrictEqual(warnings, ['No labels for locale "fr-FR", using en-IN']);
+    assert.match(result, /^Bill No: 001$/m);
+    assert.match(result, /^TOTAL: +₹1,040\.00$/m);
+});
+
+test('built-in labels and data values print in the chosen language', () => {
+    const text = PrintTemplateEngine.renderPlainText(template, data, { locale: 'hi-IN' });
+    assert.match(text, /^बिल नं: 001$/m);
+    assert.match(text, /^प्रकार: बिक्री +भुगतान: UPI$/m);
+    assert.match(text, /^कुल: +₹1,040\.00$/m);
+});
+
+test('ESC/POS prints Indic lines as raster images drawn in their columns', () => {
+    const calls = [];
+    const bytes = new ESCPOSGenerator({ rasterizeText: recordingRasterizer(calls) })
+        .generate({ receipt_template: { ...template.receipt_template, locale: 'hi-IN' } }, data);
+
+    // Bill No, Date/Time, Type/Payment, Cashier and TOTAL; the rules stay text
+    assert.strictEqual(calls.length, 5);
+    assert.strictEqual(countBytes(bytes, GS_V_0), 5);
+    assert.ok(Buffer.from(bytes).toString('latin1').includes('-'.repeat(32)));
+
+    assert.deepStrictEqual(calls[1].runs, [
+        { text: 'दिनांक: 15/01/2025', x: 0, width: 180, align: 'LEFT' },
+        { text: 'समय: 02:30:00 PM', x: 192, width: 192, align: 'RIGHT' }
+    ]);
+    assert.deepStrictEqual(calls[1].options, { width: 384, height: 30, bold: false });
+    // The bold, double-height TOTAL row is drawn 60 dots high
+    assert.deepStrictEqual(calls[4].options, { width: 384, height: 60, bold: true });
+});
+
+test('English receipts are not rasterized', () => {
+    const calls = [];
+    const bytes = new ESCPOSGenerator({ rasterizeText: recordingRasterizer(calls) }).generate(template, data);
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(countBytes(bytes, GS_V_0), 0);
+});
+
+test('without a canvas Indic lines print as codepage text, with one warning', () => {
+    const { result, warnings } = withWarnings(() => new ESCPOSGenerator({ rasterizeText: () => null })
+        .generate({ receipt_template: { ...template.receipt_template, locale: 'hi-IN' } }, data));
+    assert.deepStrictEqual(warnings, ['No canvas to draw Indic text with; printing it as codepage text (pass options.rasterizeText)']);
+    assert.strictEqual(countBytes(result, GS_V_0), 0);
+});
+
+test('hasIndicScript finds Devanagari, Kannada and Tamil', () => {
+    ['नमस्ते', 'ಕನ್ನಡ', 'தமிழ்'].forEach(text => assert.strictEqual(ReceiptLocales.hasIndicScript(text), true, text));
+    assert.strictEqual(ReceiptLocales.hasIndicScript('Rs. 1,040.00 ₹'), false);
+});
@@ -0,0 +1,115 @@
+/**
+ * Rounding edge cases for ReceiptTotals and the blocks that print its amounts
+ * (payment_summary, due_balance)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptTotals = require('../js/receipt-totals.js');
+const ReceiptLayout = require('../js/receipt-layout.js');
+
+function render(type, data) {
+    const template = { receipt_template: { characterWidth: 32, elements: [{ type }] } };
+    return ReceiptLayout.toPlainText(ReceiptLayout.layoutTemplate(template, data));
+}
+
+/**
+ * Run fn and return what it returned and the console warnings it logged
+ */
+function withWarnings(fn) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        return { result: fn(), warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('toPaise rounds half away from zero, decimal-exact', () => {
+    assert.strictEqual(ReceiptTotals.toPaise(1.005), 101);
+    assert.strictEqual(ReceiptTotals.toPaise(-1.005), -101);
+    assert.strictEqual(ReceiptTotals.toPaise(2.675), 268);
+    assert.strictEqual(ReceiptTotals.toPaise(0.285), 29);
+    assert.strictEqual(ReceiptTotals.toPaise(99999999.9), 9999999990);
+});
+
+test('toPaise drops floating-point leftovers written in exponent form', () => {
+    assert.strictEqual(ReceiptTotals.toPaise(0.1 + 0.2 - 0.3), 0);
+    assert.strictEqual(ReceiptTotals.toPaise(-1e-7), 0);
+    assert.strictEqual(ReceiptTotals.toPaise(1e-7), 0);
+    assert.strictEqual(ReceiptTotals.toPaise(1.23e-5 * 1e5), 123);
+    assert.ok(Object.is(ReceiptTotals.toPaise(-0.001), 0));
+});
+
+test('toPaise parses formatted strings', () => {
+    assert.strictEqual(ReceiptTotals.toPaise('₹1,040.00'), 104000);
+    assert.strictEqual(ReceiptTotals.toPaise(' 12.345 '), 1235);
+});
+
+test('toPaise warns about values that are not amounts and gives NaN, not 0', () => {
+    ['abc', '1e400', NaN, Infinity].forEach(value => {
+        const { result, warnings } = withWarnings(() => ReceiptTotals.toPaise(value));
+        assert.ok(Number.isNaN(result), String(value));
+        assert.deepStrictEqual(warnings, [`Cannot read "${value}" as an amount`]);
+    });
+});
+
+test('calculate rounds each tax component half up to the paisa and the total to the rupee', () => {
+    const totals = ReceiptTotals.calculate({
+        items: [{ qty: 1, rate: 10.2 }],
+        tax: { cgst: { rate: 2.5 }, sgst: { rate: 2.5 } }
+    });
+    assert.strictEqual(totals.tax.cgst.amount, 0.26);
+    assert.strictEqual(totals.tax.sgst.amount, 0.26);
+    assert.strictEqual(totals.total, 11);
+    assert.strictEqual(totals.round_off, 0.28);
+});
+
+test('verifyPayments matches tenders that only differ by float error', () => {
+    const result = ReceiptTotals.verifyPayments({ total: 0.3, payments: [{ amount: 0.1 }, { amount: 0.2 }] });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.paid, 0.3);
+});
+
+test('calculateDue keeps a float-error previous balance at zero', () => {
+    const due = ReceiptTotals.calculateDue({ previous_balance: 0.1 + 0.2 - 0.3, total: 100.005, amount_paid: 50 });
+    assert.strictEqual(due.previous_balance, 0);
+    assert.strictEqual(due.bill_amount, 100.01);
+    assert.strictEqual(due.outstanding, 50.01);
+});
+
+test('amounts that are not finite print as ? with a warning', () => {
+    assert.strictEqual(ReceiptLayout.formatIndianNumber(1234567.5), '12,34,567.50');
+    assert.deepStrictEqual(withWarnings(() => ReceiptLayout.formatIndianNumber(-Infinity)),
+        { result: '?', warnings: ['Cannot format -Infinity as an amount, printing ?'] });
+    assert.deepStrictEqual(withWarnings(() => ReceiptLayout.formatCurrency(NaN)),
+        { result: '?', warnings: ['Cannot format NaN as an amount, printing ?'] });
+
+    const { result: text } = withWarnings(() => ReceiptLayout.replaceVariables('Total: ${total | currency}', { total: '1e400' }));
+    assert.strictEqual(text, 'Total: ?');
+});
+
+test('payment_summary prints a total it cannot read as ?, not ₹0.00', () => {
+    const { result: text, warnings } = withWarnings(() => render('payment_summary', { payment_type: 'cash', total: '1e400', amount_tendered: 100 }));
+    assert.match(text, /Net Payable:?\s+\?$/m);
+    assert.match(text, /Change:?\s+\?$/m);
+    assert.doesNotMatch(text, /NaN|undefined/);
+    assert.ok(warnings.includes('Cannot read "1e400" as an amount'));
+});
+
+test('payment_summary prints a float-error round-off as +₹0.00', () => {
+    const text = render('payment_summary', { payment_type: 'cash', total: 100, round_off: 0.1 + 0.2 - 0.3, amount_tendered: 100.005 });
+    assert.match(text, /Round Off:?\s+\+₹0\.00/);
+    assert.match(text, /Tendered:?\s+₹100\.01/);
+    assert.match(text, /Change:?\s+₹0\.01/);
+    assert.doesNotMatch(text, /NaN|undefined/);
+});
+
+test('due_balance prints a float-error previous balance as ₹0.00', () => {
+    const text = render('due_balance', { previous_balance: 0.1 + 0.2 - 0.3, total: 0, amount_paid: 0 });
+    assert.match(text, /Previous Balance:?\s+₹0\.00/);
+    assert.doesNotMatch(text, /NaN|undefined/);
+});
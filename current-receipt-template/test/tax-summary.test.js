@@ -0,0 +1,102 @@
+/**
+ * tax_summary: GST per HSN/SAC code and rate (ReceiptTotals.summarizeTax)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ReceiptTotals = require('../js/receipt-totals.js');
+const PrintTemplateEngine = require('../js/print-template-engine.js');
+const ESCPOSGenerator = require('../../printer-implementation/escpos-generator.js');
+const variablesSchema = require('../data/variables-schema.json');
+
+// 5%, 12% and 18% items; two 1006 lines share a group
+const items = [
+    { name: 'Rice', hsn: '1006', gst_rate: 5, qty: 2, rate: 100 },
+    { name: 'Oil', hsn: '1512', gst_rate: 5, qty: 1, rate: 150 },
+    { name: 'Soap', hsn: '3401', gst_rate: 18, qty: 3, rate: 40 },
+    { name: 'Rice 2', hsn: '1006', gst_rate: 5, qty: 1, rate: 50 },
+    { name: 'Ghee', hsn: '0405', gst_rate: 12, qty: 1, rate: 500 }
+];
+
+function render(characterWidth, data) {
+    return PrintTemplateEngine.renderPlainText({ receipt_template: { characterWidth, elements: [{ type: 'tax_summary' }] } }, data);
+}
+
+test('items are grouped by HSN/SAC code and rate, in first-seen order', () => {
+    const summary = ReceiptTotals.summarizeTax({ items });
+    assert.strictEqual(summary.interState, false);
+    assert.deepStrictEqual(summary.groups.map(group => [group.hsn, group.rate, group.taxable, group.cgst, group.sgst, group.tax]), [
+        ['1006', 5, 250, 6.25, 6.25, 12.5],
+        ['1512', 5, 150, 3.75, 3.75, 7.5],
+        ['3401', 18, 120, 10.8, 10.8, 21.6],
+        ['0405', 12, 500, 30, 30, 60]
+    ]);
+    assert.deepStrictEqual(summary.total, { hsn: null, rate: null, taxable: 1020, cgst: 50.8, sgst: 50.8, igst: 0, tax: 101.6 });
+});
+
+test('one HSN/SAC code at two rates makes two groups', () => {
+    const summary = ReceiptTotals.summarizeTax({ items: [
+        { hsn: '6109', gst_rate: 5, qty: 1, rate: 900 },
+        { hsn: '6109', gst_rate: 12, qty: 1, rate: 1100 }
+    ] });
+    assert.deepStrictEqual(summary.groups.map(group => [group.hsn, group.rate, group.tax]), [['6109', 5, 45], ['6109', 12, 132]]);
+});
+
+test('items without gst_rate or hsn take the bill rate and group under no code', () => {
+    const summary = ReceiptTotals.summarizeTax({ items: [{ qty: 1, rate: 100 }], tax: { cgst: { rate: 9 }, sgst: { rate: 9 } } });
+    assert.deepStrictEqual(summary.groups.map(group => [group.hsn, group.rate, group.tax]), [['', 18, 18]]);
+    assert.match(render(32, { items: [{ qty: 1, rate: 100 }], tax: { cgst: { rate: 9 }, sgst: { rate: 9 } } }), /^-\s+18%\s+100\.00$/m);
+});
+
+test('prints two rows per group on 32 columns', () => {
+    assert.strictEqual(render(32, { items }), [
+        '--------------------------------',
+        'HSN/SAC        Rate      Taxable',
+        '      CGST       SGST  Total Tax',
+        '--------------------------------',
+        '1006             5%       250.00',
+        '      6.25       6.25      12.50',
+        '1512             5%       150.00',
+        '      3.75       3.75       7.50',
+        '3401            18%       120.00',
+        '     10.80      10.80      21.60',
+        '0405            12%       500.00',
+        '     30.00      30.00      60.00',
+        '--------------------------------',
+        'Total                   1,020.00',
+        '     50.80      50.80     101.60',
+        '--------------------------------'
+    ].join('\n'));
+});
+
+test('widens its columns on 48 columns', () => {
+    const lines = render(48, { items }).split('\n');
+    assert.ok(lines.every(line => line.length <= 48));
+    assert.strictEqual(lines[1], 'HSN/SAC                   Rate           Taxable');
+    assert.strictEqual(lines[13], 'Total                                   1,020.00');
+    assert.strictEqual(lines[14], '           50.80           50.80          101.60');
+});
+
+test('inter-state bills print IGST instead of CGST and SGST', () => {
+    const lines = render(32, { items, inter_state: true }).split('\n');
+    assert.strictEqual(lines[2], '                 IGST  Total Tax');
+    assert.strictEqual(lines[5], '                12.50      12.50');
+    assert.strictEqual(lines[14], '               101.60     101.60');
+});
+
+test('the preview and the printer print the same summary', () => {
+    const template = { receipt_template: { characterWidth: 32, elements: [{ type: 'tax_summary' }] } };
+    const html = PrintTemplateEngine.renderPreview(template, { items });
+    assert.ok(html.includes('receipt-tax-summary'));
+    assert.strictEqual(html.split('tax-summary-row tax-summary-row-last').length, 5);
+
+    const bytes = Buffer.from(new ESCPOSGenerator().generate(template, { items })).toString('latin1');
+    render(32, { items }).split('\n').forEach(line => assert.ok(bytes.includes(line), line));
+});
+
+test('the variables schema describes hsn and gst_rate on items', () => {
+    const itemProperties = variablesSchema.properties.items.items.properties;
+    assert.strictEqual(itemProperties.hsn.type, 'string');
+    assert.strictEqual(itemProperties.gst_rate.type, 'number');
+});
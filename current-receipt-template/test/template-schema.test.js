@@ -0,0 +1,67 @@
+/**
+ * TemplateSchema: data/template-schema.json matches the schema in the module,
+ * and validate() on the bundled templates and when conditions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const TemplateSchema = require('../js/template-schema.js');
+
+const templatesDir = path.join(__dirname, '..', 'templates');
+
+function withElements(elements) {
+    return { receipt_template: { characterWidth: 32, elements } };
+}
+
+test('data/template-schema.json is the same schema as TemplateSchema.schema', () => {
+    const file = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'template-schema.json'), 'utf8'));
+    assert.deepStrictEqual(file, TemplateSchema.schema,
+        'data/template-schema.json is out of date: regenerate it from js/template-schema.js (see README, Template Schema)');
+});
+
+test('the bundled templates are valid', () => {
+    fs.readdirSync(templatesDir).filter(name => name.endsWith('.json')).forEach(name => {
+        const template = JSON.parse(fs.readFileSync(path.join(templatesDir, name), 'utf8'));
+        assert.deepStrictEqual(TemplateSchema.validate(template).errors, [], name);
+    });
+});
+
+test('when conditions that do not parse are reported with the element index', () => {
+    const result = TemplateSchema.validate(withElements([
+        { type: 'text', value: 'GSTIN: ${gstin}', when: '${gstin}' },
+        { type: 'qr_code', value: '${qr_data}', when: '${payment_type} ==' },
+        { type: 'text', value: 'Due', when: "(${payment_type | lower} == 'due'" },
+        { type: 'text', value: 'Hi', when: '${customer_name} = 1' },
+        { type: 'text', value: 'Paid', when: true }
+    ]));
+    assert.deepStrictEqual(result.errors, [
+        { path: 'receipt_template.elements[1].when', element: 1, message: 'elements[1] (qr_code): when is not a valid condition: unexpected end in "${payment_type} =="' },
+        { path: 'receipt_template.elements[2].when', element: 2, message: 'elements[2] (text): when is not a valid condition: missing ) in "(${payment_type | lower} == \'due\'"' },
+        { path: 'receipt_template.elements[3].when', element: 3, message: 'elements[3] (text): when is not a valid condition: can\'t read "= 1" in "${customer_name} = 1"' }
+    ]);
+});
+
+test('unknown formatters, column conditions and show_serial_no are checked too', () => {
+    const result = TemplateSchema.validate(withElements([
+        { type: 'text', value: 'Due', when: "${payment_type | lowr} == 'due'" },
+        { type: 'bill_items', show_serial_no: '${show_serial_no} &&', columns: [{ field: 'name' }, { field: 'hsn', when: '${items.0.hsn} !' }] }
+    ]));
+    assert.deepStrictEqual(result.errors.map(error => error.message), [
+        'elements[0] (text): when is not a valid condition: unknown formatter "lowr" in "${payment_type | lowr} == \'due\'"',
+        'elements[1] (bill_items): show_serial_no is not a valid condition: unexpected end in "${show_serial_no} &&"',
+        'elements[1] (bill_items): columns[1].when is not a valid condition: unexpected "!" in "${items.0.hsn} !"'
+    ]);
+});
+
+test('when conditions with formatter arguments that cannot work are reported', () => {
+    const result = TemplateSchema.validate(withElements([
+        { type: 'text', value: 'Closing', when: "${bill_date | time:HH:mm} == '22:00'" },
+        { type: 'text', value: 'Jan', when: "${bill_date | date:Mon} == 'Jan'" }
+    ]));
+    assert.deepStrictEqual(result.errors.map(error => error.message), [
+        'elements[1] (text): when is not a valid condition: date pattern "Mon" has letters that aren\'t DD MM MMM YYYY YY HH hh mm ss A (quote other text) in "${bill_date | date:Mon} == \'Jan\'"'
+    ]);
+});
@@ -0,0 +1,232 @@
+/**
+ * ESC/POS Text Encoding
+ *
+ * Maps text to the single-byte codepage selected on the printer (ESC t n).
+ * Characters the codepage doesn't have fall back to a user-defined glyph
+ * (downloaded with ESC &) or to an ASCII substitution such as "Rs." for ₹.
+ *
+ * Usage:
+ *   const encoder = new ESCPOSEncoder({ codepage: 'PC858', fallback: 'glyph' });
+ *   const setup = encoder.initialize();   // after ESC @
+ *   const bytes = encoder.encode('Total: ₹1,040.00');
+ */
+
+class ESCPOSEncoder {
+    /**
+     * @param {object} options - Encoding options
+     * @param {string} options.codepage - Codepage name (PC437, PC850, PC858, WPC1252)
+     * @param {string} options.fallback - 'substitute' (default) or 'glyph'
+     * @param {object} options.substitutions - Extra character → ASCII substitutions
+     * @param {object} options.glyphs - Extra character → glyph definitions ({ code, bitmap })
+     */
+    constructor(options = {}) {
+        this.ESC = 0x1B;
+
+        const codepageName = options.codepage || 'PC437';
+        const codepage = ESCPOSEncoder.CODEPAGES[codepageName];
+        if (!codepage) {
+            throw new Error(`Unsupported codepage: ${codepageName}`);
+        }
+
+        this.codepageName = codepageName;
+        this.codepage = codepage;
+        this.fallback = options.fallback || 'substitute';
+        this.substitutions = { ...ESCPOSEncoder.SUBSTITUTIONS, ...(options.substitutions || {}) };
+        this.glyphs = this.fallback === 'glyph' ? { ...ESCPOSEncoder.GLYPHS, ...(options.glyphs || {}) } : {};
+        // ASCII codes the glyphs take over while ESC % 1 is active
+        this.glyphCodes = new Set(Object.values(this.glyphs).map(glyph => glyph.code));
+
+        // Character → byte for the upper half (0x80-0xFF) of the codepage
+        this.charMap = {};
+        Array.from(codepage.upper).forEach((char, index) => {
+            if (char !== '�') {
+                this.charMap[char] = 0x80 + index;
+            }
+        });
+    }
+
+    /**
+     * Commands to send after ESC @: select codepage, download glyphs
+     * @returns {Array<number>} Command bytes
+     */
+    initialize() {
+        const commands = [this.ESC, 0x74, this.codepage.escT]; // ESC t n
+
+        const glyphs = Object.values(this.glyphs);
+        if (glyphs.length > 0) {
+            glyphs.forEach(glyph => {
+                commands.push(...this.defineGlyph(glyph));
+            });
+            commands.push(this.ESC, 0x25, 0x01); // ESC % 1 - use user-defined characters
+        }
+
+        return commands;
+    }
+
+    /**
+     * Define one user-defined character (ESC & y c1 c2 x d1...dk) for Font A (12x24)
+     * @param {object} glyph - { code, bitmap } where bitmap is 24 rows of 12 '#'/'.' characters
+     * @returns {Array<number>} Command bytes
+     */
+    defineGlyph(glyph) {
+        const height = glyph.bitmap.length;
+        const width = glyph.bitmap[0].length;
+        const bytesPerColumn = Math.ceil(height / 8);
+        const commands = [this.ESC, 0x26, bytesPerColumn, glyph.code, glyph.code, width];
+
+        // Column-major, top to bottom, most significant bit first
+        for (let x = 0; x < width; x++) {
+            for (let b = 0; b < bytesPerColumn; b++) {
+                let byte = 0;
+                for (let bit = 0; bit < 8; bit++) {
+                    const row = glyph.bitmap[b * 8 + bit];
+                    if (row && row[x] === '#') {
+                        byte |= 0x80 >> bit;
+                    }
+                }
+                commands.push(byte);
+            }
+        }
+
+        return commands;
+    }
+
+    /**
+     * Replace characters the printer can't print (not in the codepage and no
+     * glyph, or ASCII characters whose code a glyph has taken, such as "~"
+     * under the ₹ glyph) with their ASCII substitutions. Lets callers re-pad
+     * columns before encoding.
+     * @param {string} text - Text to transliterate
+     * @returns {string} Printable text
+     */
+    transliterate(text) {
+        return Array.from(text).map(char => {
+            if (this.canPrint(char)) return char;
+            return this.substitutions[char] !== undefined ? this.substitutions[char] : '?';
+        }).join('');
+    }
+
+    /**
+     * Whether a character prints as a single character cell
+     * @param {string} char - Single character
+     * @returns {boolean}
+     */
+    canPrint(char) {
+        const code = char.charCodeAt(0);
+        if (code < 0x80) return !this.glyphCodes.has(code);
+        return this.charMap[char] !== undefined || this.glyphs[char] !== undefined;
+    }
+
+    /**
+     * Encode text to codepage bytes
+     * @param {string} text - Text to encode
+     * @returns {Array<number>} Byte array
+     */
+    encode(text) {
+        const bytes = [];
+        Array.from(this.transliterate(text)).forEach(char => {
+            const code = char.charCodeAt(0);
+            if (code < 0x80 && !this.glyphCodes.has(code)) {
+                bytes.push(code);
+            } else if (this.charMap[char] !== undefined) {
+                bytes.push(this.charMap[char]);
+            } else if (this.glyphs[char] !== undefined) {
+                bytes.push(this.glyphs[char].code);
+            } else {
+                bytes.push(0x3F); // '?'
+            }
+        });
+        return bytes;
+    }
+}
+
+/**
+ * Supported codepages: ESC t number and characters for bytes 0x80-0xFF
+ * (� marks bytes with no character)
+ */
+ESCPOSEncoder.CODEPAGES = {
+    'PC437': {
+        escT: 0,
+        upper: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»' +
+            '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+            'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0'
+    },
+    'PC850': {
+        escT: 2,
+        upper: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»' +
+            '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+            'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0'
+    },
+    'PC858': {
+        escT: 19,
+        upper: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»' +
+            '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀' +
+            'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0'
+    },
+    'WPC1252': {
+        escT: 16,
+        upper: '€�‚ƒ„…†‡ˆ‰Š‹Œ�Ž��‘’“”•–—˜™š›œ�žŸ' +
+            '\u00A0¡¢£¤¥¦§¨©ª«¬\u00AD®¯°±²³´µ¶·¸¹º»¼½¾¿' +
+            'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ'
+    }
+};
+
+/**
+ * Default ASCII substitutions for characters missing from the codepage
+ */
+ESCPOSEncoder.SUBSTITUTIONS = {
+    '₹': 'Rs.',
+    '€': 'EUR',
+    '‘': '\'',
+    '’': '\'',
+    '“': '"',
+    '”': '"',
+    '–': '-',
+    '—': '-',
+    '…': '...',
+    '•': '*',
+    '×': 'x',
+    '\u00A0': ' ',
+    '~': '-' // only while a glyph (₹) replaces it
+};
+
+/**
+ * Default user-defined glyphs (Font A, 12x24 dots) used when fallback is 'glyph'
+ * The code is the ASCII position the glyph replaces while ESC % 1 is active
+ */
+ESCPOSEncoder.GLYPHS = {
+    '₹': {
+        code: 0x7E, // '~'
+        bitmap: [
+            '............',
+            '............',
+            '............',
+            '............',
+            '.##########.',
+            '.##########.',
+            '.....###....',
+            '......###...',
+            '.##########.',
+            '.##########.',
+            '......###...',
+            '.....###....',
+            '.######.....',
+            '.#####......',
+            '..###.......',
+            '...###......',
+            '....###.....',
+            '.....###....',
+            '......###...',
+            '.......###..',
+            '........###.',
+            '............',
+            '............',
+            '............'
+        ]
+    }
+};
+
+// Export for Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ESCPOSEncoder;
+}
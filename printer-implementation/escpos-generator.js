@@ -3,15 +3,51 @@
  * 
  * Reference implementation for converting receipt templates to ESC/POS commands
  * This serves as a reference for engineers implementing printer support
+ *
+ * Element layout (wrapping, columns, labels, number and date formatting) comes
+ * from the shared layout core, so the printout matches the HTML preview line for line
  * 
  * Usage:
- *   const generator = new ESCPOSGenerator();
+ *   const generator = new ESCPOSGenerator({ encoding: { codepage: 'PC858' } });
  *   const commands = generator.generate(template, data);
+ *   generator.generate(template, data, { locale: 'hi-IN' }); // Hindi labels
  *   // Send commands to printer
+ *
+ * Printer fonts have no Indic glyphs, so text and row lines in Devanagari,
+ * Kannada, Tamil etc. are drawn into bitmaps and printed as raster images
  */
 
+// Shared layout core, image core, locales and text encoder: globals in the browser, required in Node.js
+const receiptLayout = typeof ReceiptLayout !== 'undefined'
+    ? ReceiptLayout
+    : require('../current-receipt-template/js/receipt-layout.js');
+const receiptImage = typeof ReceiptImage !== 'undefined'
+    ? ReceiptImage
+    : require('../current-receipt-template/js/receipt-image.js');
+const receiptLocales = typeof ReceiptLocales !== 'undefined'
+    ? ReceiptLocales
+    : require('../current-receipt-template/js/receipt-locales.js');
+const CodepageEncoder = typeof ESCPOSEncoder !== 'undefined'
+    ? ESCPOSEncoder
+    : require('./escpos-encoding.js');
+
+// GS k function B sends the data length as a single byte
+const MAX_BARCODE_BYTES = 255;
+
 class ESCPOSGenerator {
-    constructor() {
+    /**
+     * @param {object} options - Generator options
+     * @param {object} options.encoding - Text encoding options (codepage, fallback,
+     *   substitutions, glyphs); see escpos-encoding.js. Defaults to PC437 with
+     *   ASCII substitutions such as "Rs." for ₹
+     * @param {object} options.capabilities - Printer capabilities
+     * @param {boolean} options.capabilities.nativeQR - Printer implements GS ( k QR codes
+     *   (default true). When false, QR codes are encoded here and printed as raster images
+     * @param {Function} options.rasterizeText - (runs, { width, height, bold }) => bitmap or null;
+     *   draws Indic text lines. Defaults to ReceiptImage.rasterizeText (needs a canvas,
+     *   so pass one in Node.js, e.g. backed by the canvas package)
+     */
+    constructor(options = {}) {
         // ESC/POS Command Constants
         this.ESC = 0x1B;
         this.GS = 0x1D;
@@ -30,15 +66,25 @@ class ESCPOSGenerator {
         this.DOUBLE_WIDTH = 0x01;
         this.FONT_B_BOLD = 0x09; // Font B + Bold
         this.FONT_B_DOUBLE = 0x19; // Font B + Bold + Double Height
+
+        this.encoder = new CodepageEncoder(options.encoding || {});
+        this.capabilities = { nativeQR: true, ...(options.capabilities || {}) };
+        this.rasterizeText = options.rasterizeText || receiptImage.rasterizeText;
+        this.warnedNoRasterizer = false;
     }
 
     /**
      * Generate ESC/POS commands from template and data
      * @param {object} template - Receipt template JSON
      * @param {object} data - Data object with variable values
+     * @param {object} options - { locale } for the built-in labels (see ReceiptLocales);
+     *   { validation: 'strict' | 'lenient', schema } to check the data first (see DataValidation);
+     *   { onWarning(message) } to receive the lenient-validation and element warnings
      * @returns {Uint8Array} ESC/POS command bytes
+     * @throws {Error} In strict validation when the data doesn't match the variables schema,
+     *   or a barcode can't be printed (see checkBarcodes)
      */
-    generate(template, data) {
+    generate(template, data, options = {}) {
         if (!template || !template.receipt_template) {
             throw new Error('Invalid template structure');
         }
@@ -49,10 +95,12 @@ class ESCPOSGenerator {
         // Initialize printer
         commands.push(...this.initialize());
 
-        // Process each element
-        template.receipt_template.elements.forEach(element => {
-            const elementCommands = this.processElement(element, data, characterWidth);
-            commands.push(...elementCommands);
+        // Lay out the whole template (so headers pick up their table's columns), then render each element's block
+        const layout = receiptLayout.layoutTemplate(template, data, options);
+        this.checkBarcodes(layout, options);
+        layout.blocks.forEach(block => {
+            this.warnUnknownBlock(block);
+            commands.push(...this.renderBlock(block, characterWidth));
         });
 
         // Feed lines before cut
@@ -69,7 +117,8 @@ class ESCPOSGenerator {
      * @returns {Array<number>} Command bytes
      */
     initialize() {
-        return [this.ESC, 0x40]; // ESC @
+        // ESC @, then select codepage and download fallback glyphs
+        return [this.ESC, 0x40, ...this.encoder.initialize()];
     }
 
     /**
@@ -77,365 +126,224 @@ class ESCPOSGenerator {
      * @param {object} element - Template element
      * @param {object} data - Data object
      * @param {number} characterWidth - Maximum characters per line
+     * @param {object} options - { locale } for the built-in labels
      * @returns {Array<number>} Command bytes
      */
-    processElement(element, data, characterWidth) {
-        const commands = [];
-
-        switch (element.type) {
-            case 'text':
-                commands.push(...this.renderText(element, data, characterWidth));
-                break;
-            case 'static_text':
-                commands.push(...this.renderStaticText(element, characterWidth));
-                break;
-            case 'separator':
-                commands.push(...this.renderSeparator(element, characterWidth));
-                break;
-            case 'newline':
-                commands.push(...this.renderNewline());
-                break;
-            case 'bill_date_row':
-                commands.push(...this.renderBillDateRow(data));
-                break;
-            case 'transaction_payment_row':
-                commands.push(...this.renderTransactionPaymentRow(data));
-                break;
-            case 'transaction_calculation':
-                commands.push(...this.renderTransactionCalculation(element, data, characterWidth));
-                break;
-            case 'item_header_row':
-                commands.push(...this.renderItemHeaderRow(characterWidth));
-                break;
-            case 'bill_items':
-                commands.push(...this.renderBillItems(data, characterWidth));
-                break;
-            case 'total_amount_row':
-                commands.push(...this.renderTotalAmountRow(data, characterWidth));
-                break;
-            case 'qr_code':
-                commands.push(...this.renderQRCode(element, data));
-                break;
-            case 'cut_paper':
-                // Cut paper is handled at the end
-                break;
-            default:
-                console.warn(`Unknown element type: ${element.type}`);
-        }
-
-        return commands;
+    processElement(element, data, characterWidth, options = {}) {
+        const block = receiptLayout.layoutElement(element, data, characterWidth, options);
+        this.warnUnknownBlock(block);
+        return this.renderBlock(block, characterWidth);
     }
 
     /**
-     * Render text element with variable substitution
-     * @param {object} element - Text element
-     * @param {object} data - Data object
-     * @param {number} characterWidth - Max characters per line
-     * @returns {Array<number>} Command bytes
+     * Check the barcodes in a layout before any command is built: in strict
+     * validation one that can't be printed throws, otherwise it is passed to
+     * onWarning and renderBarcode skips it
+     * @param {object} layout - Layout model from ReceiptLayout
+     * @param {object} options - { validation, onWarning } as in generate
+     * @throws {Error} In strict validation, for the first barcode that can't be printed
      */
-    renderText(element, data, characterWidth) {
-        const commands = [];
-        const text = this.replaceVariables(element.value || '', data);
-        const alignment = this.getAlignment(element.alignment);
-        const fontStyle = this.getFontStyle(element.font_size, element.font_weight);
-
-        // Set alignment
-        commands.push(...this.setAlignment(alignment));
-
-        // Set font style
-        commands.push(...this.setFontStyle(fontStyle));
-
-        // Wrap and print text
-        const lines = this.wrapText(text, characterWidth);
-        lines.forEach(line => {
-            commands.push(...this.printText(line));
-            commands.push(...this.feedLines(1));
-        });
-
-        // Reset font
-        commands.push(...this.setFontStyle(this.FONT_A));
-        // Reset alignment
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-
-        return commands;
+    checkBarcodes(layout, options = {}) {
+        layout.blocks.forEach(block => block.lines
+            .filter(line => line.kind === 'barcode')
+            .forEach(line => {
+                const problem = this.getBarcodeProblem(line);
+                if (!problem) return;
+                if (options.validation === 'strict') {
+                    throw new Error(`Cannot print barcode: ${problem}`);
+                }
+                if (options.onWarning) options.onWarning(problem);
+            }));
     }
 
     /**
-     * Render static text element
-     * @param {object} element - Static text element
-     * @param {number} characterWidth - Max characters per line
-     * @returns {Array<number>} Command bytes
+     * Warn about a block that laid out to nothing because its element type is unknown
+     * (not one that is merely empty, like bill_items without items)
+     * @param {object} block - Layout block from ReceiptLayout
      */
-    renderStaticText(element, characterWidth) {
-        const commands = [];
-        const text = element.value || '';
-        const alignment = this.getAlignment(element.alignment);
-        const fontStyle = this.getFontStyle(element.font_size, element.font_weight);
-
-        // Set alignment
-        commands.push(...this.setAlignment(alignment));
-
-        // Set font style
-        commands.push(...this.setFontStyle(fontStyle));
-
-        // Wrap and print text
-        const lines = this.wrapText(text, characterWidth);
-        lines.forEach(line => {
-            commands.push(...this.printText(line));
-            commands.push(...this.feedLines(1));
-        });
-
-        // Reset font
-        commands.push(...this.setFontStyle(this.FONT_A));
-        // Reset alignment
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-
-        return commands;
+    warnUnknownBlock(block) {
+        if (block.unknown) {
+            console.warn(`Unknown element type: ${block.type}`);
+        }
     }
 
     /**
-     * Render separator line
-     * @param {object} element - Separator element
-     * @param {number} characterWidth - Max characters per line
+     * Render a layout block (one template element)
+     * @param {object} block - Layout block from ReceiptLayout
+     * @param {number} characterWidth - Maximum characters per line
      * @returns {Array<number>} Command bytes
      */
-    renderSeparator(element, characterWidth) {
+    renderBlock(block, characterWidth) {
         const commands = [];
-        const length = element.length || characterWidth;
-        const style = element.style || 'DASHED';
-        const char = style === 'DASHED' ? '-' : '=';
-        const line = char.repeat(length);
-
-        // Center alignment for separator
-        commands.push(...this.setAlignment(this.ALIGN_CENTER));
-        commands.push(...this.printText(line));
-        commands.push(...this.feedLines(1));
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-
+        block.lines.forEach(line => {
+            commands.push(...this.renderLine(line, characterWidth));
+        });
         return commands;
     }
 
     /**
-     * Render newline
-     * @returns {Array<number>} Command bytes
-     */
-    renderNewline() {
-        return this.feedLines(1);
-    }
-
-    /**
-     * Render bill date row
-     * @param {object} data - Data object
+     * Render a single layout line
+     * Text lines use ESC a alignment; rows and rules are printed as
+     * full-width padded strings so columns line up exactly. Text and rows
+     * in Indic scripts are printed as raster images (see renderRasterText)
+     * @param {object} line - Layout line
+     * @param {number} characterWidth - Maximum characters per line
      * @returns {Array<number>} Command bytes
      */
-    renderBillDateRow(data) {
-        const commands = [];
-        const billNumber = data.bill_number || data.billNumber || 'N/A';
-        const billDate = this.formatDate(data.bill_date || data.billDate);
-        const billTime = this.formatTime(data.bill_date || data.billDate);
-
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-        commands.push(...this.setFontStyle(this.FONT_A));
-
-        commands.push(...this.printText(`Bill No: ${billNumber}`));
-        commands.push(...this.feedLines(1));
-        commands.push(...this.printText(`Date: ${billDate}`));
-        commands.push(...this.feedLines(1));
-        commands.push(...this.printText(`Time: ${billTime}`));
-        commands.push(...this.feedLines(1));
-
-        return commands;
-    }
+    renderLine(line, characterWidth) {
+        if (this.needsRaster(line)) {
+            const raster = this.renderRasterText(line, characterWidth);
+            if (raster) return raster;
+        }
 
-    /**
-     * Render transaction payment row
-     * @param {object} data - Data object
-     * @returns {Array<number>} Command bytes
-     */
-    renderTransactionPaymentRow(data) {
         const commands = [];
-        const transactionType = data.transaction_type || data.transactionType || 'Sale';
-        const paymentType = data.payment_type || data.paymentType || 'Cash';
-        const cashier = data.cashier || 'N/A';
 
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-        commands.push(...this.setFontStyle(this.FONT_A));
+        switch (line.kind) {
+            case 'text':
+                commands.push(...this.setAlignment(this.getAlignment(line.align)));
+                commands.push(...this.setFontStyle(this.getFontStyle(line.size, line.weight)));
+                commands.push(...this.printText(line.text));
+                commands.push(...this.feedLines(1));
+                break;
+            case 'row':
+            case 'rule': {
+                let fontStyle = line.kind === 'row' ? this.getFontStyle(line.size, line.weight) : this.FONT_A;
+                if (line.tall) {
+                    // Double height keeps the full character width available
+                    fontStyle |= this.DOUBLE_HEIGHT;
+                }
+                commands.push(...this.setAlignment(this.ALIGN_LEFT));
+                commands.push(...this.setFontStyle(fontStyle));
+                commands.push(...this.printText(receiptLayout.lineToText(this.printableLine(line), characterWidth)));
+                commands.push(...this.feedLines(1));
+                break;
+            }
+            case 'blank':
+                commands.push(...this.feedLines(1));
+                break;
+            case 'image':
+                if (line.bitmap) {
+                    commands.push(...this.printRasterImage(line.bitmap));
+                } else {
+                    // Reserved logo/image space: 1px in the preview ≈ 1 dot
+                    commands.push(...this.feedDots(line.height));
+                }
+                break;
+            case 'qr':
+                commands.push(...this.renderQRCode(line));
+                break;
+            case 'barcode':
+                commands.push(...this.renderBarcode(line));
+                break;
+            default:
+                break;
+        }
 
-        commands.push(...this.printText(`Type: ${transactionType}`));
-        commands.push(...this.feedLines(1));
-        commands.push(...this.printText(`Payment: ${paymentType}`));
-        commands.push(...this.feedLines(1));
-        
-        if (cashier !== 'N/A') {
-            commands.push(...this.printText(`Cashier: ${cashier}`));
-            commands.push(...this.feedLines(1));
+        // Reset font and alignment
+        if (line.kind === 'text' || line.kind === 'row' || line.kind === 'rule') {
+            commands.push(...this.setFontStyle(this.FONT_A));
+            commands.push(...this.setAlignment(this.ALIGN_LEFT));
         }
 
         return commands;
     }
 
     /**
-     * Render transaction calculation
-     * @param {object} element - Element object
-     * @param {object} data - Data object
-     * @param {number} characterWidth - Max characters per line
-     * @returns {Array<number>} Command bytes
+     * Whether a text or row line has text the printer's fonts can't draw
+     * @param {object} line - Layout line
+     * @returns {boolean}
      */
-    renderTransactionCalculation(element, data, characterWidth) {
-        const commands = [];
-        const alignment = this.getAlignment(element.alignment || 'RIGHT');
-
-        commands.push(...this.setAlignment(alignment));
-        commands.push(...this.setFontStyle(this.FONT_A));
-
-        if (data.items && data.items.length > 0) {
-            data.items.forEach(item => {
-                const name = item.name || 'Item';
-                const qty = item.qty || 0;
-                const amount = this.formatCurrency(item.amount || 0);
-                const line = `${name} x ${qty} = ${amount}`;
-                commands.push(...this.printText(line));
-                commands.push(...this.feedLines(1));
-            });
-        }
-
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-
-        return commands;
+    needsRaster(line) {
+        if (line.kind === 'text') return receiptLocales.hasIndicScript(line.text);
+        if (line.kind === 'row') return line.cells.some(cell => receiptLocales.hasIndicScript(cell.text));
+        return false;
     }
 
     /**
-     * Render item header row
-     * @param {number} characterWidth - Max characters per line
-     * @returns {Array<number>} Command bytes
+     * Print a text or row line as a raster image one text line high (30 dots,
+     * 60 for tall and LARGE lines). Each row cell is drawn into the dots of its
+     * own columns (12 dots per character), so columns line up with text rows
+     * @param {object} line - Text or row layout line
+     * @param {number} characterWidth - Maximum characters per line
+     * @returns {Array<number>|null} Command bytes, or null when there is no rasterizer
      */
-    renderItemHeaderRow(characterWidth) {
-        const commands = [];
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-        commands.push(...this.setFontStyle(this.BOLD));
-
-        if (characterWidth === 32) {
-            // 2-inch format
-            commands.push(...this.printText('Sl No  Item          Qty  Price  Amount'));
+    renderRasterText(line, characterWidth) {
+        const columnDots = 12;
+        let runs;
+        if (line.kind === 'text') {
+            runs = [{ text: line.text, x: 0, width: characterWidth * columnDots, align: line.align }];
         } else {
-            // 3-inch format
-            commands.push(...this.printText('Sl No  Item                  Qty    Price    Amount'));
+            const gap = Math.max(0, characterWidth - line.width);
+            const offsets = { LEFT: 0, CENTER: Math.floor(gap / 2), RIGHT: gap };
+            let column = offsets[line.align] || 0;
+            runs = line.cells.map(cell => {
+                const run = { text: cell.text, x: column * columnDots, width: cell.width * columnDots, align: cell.align };
+                column += cell.width + 1;
+                return run;
+            });
         }
 
-        commands.push(...this.feedLines(1));
-        commands.push(...this.setFontStyle(this.FONT_A));
-
-        return commands;
+        const height = line.tall || line.size === 'LARGE' ? 60 : 30;
+        const bitmap = this.rasterizeText(runs, { width: characterWidth * columnDots, height, bold: line.weight === 'BOLD' });
+        if (!bitmap) {
+            if (!this.warnedNoRasterizer) {
+                console.warn('No canvas to draw Indic text with; printing it as codepage text (pass options.rasterizeText)');
+                this.warnedNoRasterizer = true;
+            }
+            return null;
+        }
+        return this.printRasterImage(bitmap);
     }
 
     /**
-     * Render bill items table
-     * @param {object} data - Data object
-     * @param {number} characterWidth - Max characters per line
-     * @returns {Array<number>} Command bytes
+     * Apply codepage substitutions to row cells before they are padded,
+     * so a longer substitute (₹ → "Rs.") doesn't push columns out of line
+     * @param {object} line - Layout line
+     * @returns {object} Line with printable cell text
      */
-    renderBillItems(data, characterWidth) {
-        const commands = [];
-        const items = data.items || [];
-
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-        commands.push(...this.setFontStyle(this.FONT_A));
-
-        items.forEach((item, index) => {
-            const slNo = item.slNo !== undefined ? item.slNo : index + 1;
-            const name = item.name || 'Item';
-            const qty = item.qty || 0;
-            const rate = this.formatCurrency(item.rate || 0);
-            const amount = this.formatCurrency(item.amount || 0);
-
-            if (characterWidth === 32) {
-                // 2-inch format: Sl No (5) + Item (12) + Qty (4) + Price (5) + Amount (6)
-                const line = `${String(slNo).padEnd(5)}${name.padEnd(12).substring(0, 12)}${String(qty).padStart(4)}${rate.padStart(5)}${amount.padStart(6)}`;
-                commands.push(...this.printText(line));
-            } else {
-                // 3-inch format: Sl No (6) + Item (20) + Qty (6) + Price (8) + Amount (8)
-                const line = `${String(slNo).padEnd(6)}${name.padEnd(20).substring(0, 20)}${String(qty).padStart(6)}${rate.padStart(8)}${amount.padStart(8)}`;
-                commands.push(...this.printText(line));
+    printableLine(line) {
+        if (line.kind !== 'row') return line;
+
+        const cells = line.cells.map(cell => ({ ...cell, text: this.encoder.transliterate(cell.text) }));
+
+        // Widen overflowing cells using spare width from a neighbouring cell
+        cells.forEach((cell, index) => {
+            [cells[index + 1], cells[index - 1]].forEach(neighbour => {
+                const overflow = cell.text.length - cell.width;
+                const slack = neighbour ? neighbour.width - neighbour.text.length : 0;
+                if (overflow > 0 && slack > 0) {
+                    const moved = Math.min(overflow, slack);
+                    cell.width += moved;
+                    neighbour.width -= moved;
+                }
+            });
+            if (cell.text.length > cell.width) {
+                cell.text = cell.text.substring(0, cell.width);
             }
-
-            commands.push(...this.feedLines(1));
         });
 
-        return commands;
+        return { ...line, cells };
     }
 
     /**
-     * Render total amount row
-     * @param {object} data - Data object
-     * @param {number} characterWidth - Max characters per line
+     * Render QR code
+     * @param {object} line - QR layout line (data, size, errorCorrection, align, bitmap)
      * @returns {Array<number>} Command bytes
      */
-    renderTotalAmountRow(data, characterWidth) {
-        const commands = [];
-        const subtotal = this.formatCurrency(data.subtotal || 0);
-        const discount = data.discount || 0;
-        const tax = data.tax || {};
-        const total = this.formatCurrency(data.total || 0);
-
-        commands.push(...this.setAlignment(this.ALIGN_RIGHT));
-        commands.push(...this.setFontStyle(this.FONT_A));
-
-        // Subtotal
-        commands.push(...this.printText(`Subtotal:        ${subtotal}`));
-        commands.push(...this.feedLines(1));
-
-        // Discount
-        if (discount > 0) {
-            commands.push(...this.printText(`Discount:        ${this.formatCurrency(discount)}`));
-            commands.push(...this.feedLines(1));
-        }
-
-        // CGST
-        if (tax.cgst && tax.cgst.amount > 0) {
-            commands.push(...this.printText(`CGST @ ${tax.cgst.rate}%:  ${this.formatCurrency(tax.cgst.amount)}`));
-            commands.push(...this.feedLines(1));
-        }
-
-        // SGST
-        if (tax.sgst && tax.sgst.amount > 0) {
-            commands.push(...this.printText(`SGST @ ${tax.sgst.rate}%:  ${this.formatCurrency(tax.sgst.amount)}`));
-            commands.push(...this.feedLines(1));
+    renderQRCode(line) {
+        if (!this.capabilities.nativeQR) {
+            return this.renderRasterQRCode(line);
         }
 
-        // IGST
-        if (tax.igst && tax.igst.amount > 0) {
-            commands.push(...this.printText(`IGST @ ${tax.igst.rate}%:  ${this.formatCurrency(tax.igst.amount)}`));
-            commands.push(...this.feedLines(1));
-        }
-
-        // Total (bold, larger font)
-        commands.push(...this.setFontStyle(this.FONT_B_DOUBLE));
-        commands.push(...this.printText(`Total:           ${total}`));
-        commands.push(...this.feedLines(1));
-        commands.push(...this.setFontStyle(this.FONT_A));
-        commands.push(...this.setAlignment(this.ALIGN_LEFT));
-
-        return commands;
-    }
-
-    /**
-     * Render QR code
-     * @param {object} element - QR code element
-     * @param {object} data - Data object
-     * @returns {Array<number>} Command bytes
-     */
-    renderQRCode(element, data) {
         const commands = [];
-        const qrData = element.value ? this.replaceVariables(element.value, data) : (data.qr_data || '');
-        const size = this.getQRSize(element.size || 'MEDIUM');
-        const errorCorrection = this.getQRErrorCorrection(element.error_correction || 'M');
+        const size = this.getQRSize(line.size);
+        const errorCorrection = this.getQRErrorCorrection(line.errorCorrection);
 
-        // Center alignment
-        commands.push(...this.setAlignment(this.ALIGN_CENTER));
+        commands.push(...this.setAlignment(this.getAlignment(line.align)));
 
         // QR Code commands (GS ( k)
         // Model 2, size, error correction, store data, print
-        const dataBytes = this.stringToBytes(qrData);
+        const dataBytes = this.stringToBytes(line.data);
         const dataLen = dataBytes.length + 3;
 
         // Set QR code model (Model 2)
@@ -460,6 +368,88 @@ class ESCPOSGenerator {
         return commands;
     }
 
+    /**
+     * Bytes GS k sends for a barcode's data
+     * @param {object} line - Barcode layout line
+     * @returns {Array<number>} Data bytes, with the code set prefix for CODE128
+     */
+    getBarcodeBytes(line) {
+        const dataBytes = line.data.split('').map(char => char.charCodeAt(0));
+        if (line.symbology !== 'CODE128') return dataBytes;
+
+        // Code set selection prefix: {B for text, {C for digit pairs
+        return line.codeSet === 'C'
+            ? [0x7B, 0x43, ...line.data.match(/\d\d/g).map(Number)]
+            : [0x7B, 0x42, ...dataBytes];
+    }
+
+    /**
+     * Why a barcode can't be printed: no data, data that couldn't be encoded, or
+     * more than the 255 bytes GS k function B takes (its length is a single
+     * byte, and for CODE128 that includes the 2-byte code set prefix)
+     * @param {object} line - Barcode layout line
+     * @returns {string|null} The problem, or null when it can be printed
+     */
+    getBarcodeProblem(line) {
+        if (!line.data) {
+            return `${line.symbology} barcode has no data`;
+        }
+        if (!line.modules) {
+            return `${line.symbology} barcode could not be encoded: ${line.data}`;
+        }
+        const length = this.getBarcodeBytes(line).length;
+        if (length > MAX_BARCODE_BYTES) {
+            return `${line.symbology} barcode data is ${length} bytes, more than the ${MAX_BARCODE_BYTES} GS k takes: ${line.data}`;
+        }
+        return null;
+    }
+
+    /**
+     * Render QR code as a raster image for printers without GS ( k
+     * The layout core has already encoded the symbol at the same module size
+     * and error correction level, aligned on the paper width
+     * @param {object} line - QR layout line
+     * @returns {Array<number>} Command bytes
+     */
+    renderRasterQRCode(line) {
+        if (!line.bitmap) {
+            throw new Error(`QR code could not be encoded for raster printing: ${line.data}`);
+        }
+
+        return [
+            ...this.printRasterImage(line.bitmap),
+            ...this.feedLines(1)
+        ];
+    }
+
+    /**
+     * Render barcode (GS k, function B)
+     * @param {object} line - Barcode layout line (data, symbology, height, moduleWidth, hri, align, codeSet)
+     * @returns {Array<number>} Command bytes
+     */
+    renderBarcode(line) {
+        const problem = this.getBarcodeProblem(line);
+        if (problem) {
+            console.warn(`Skipping barcode: ${problem}`);
+            return [];
+        }
+
+        const commands = [];
+        const symbology = this.getBarcodeSymbology(line.symbology);
+        const dataBytes = this.getBarcodeBytes(line);
+
+        commands.push(...this.setAlignment(this.getAlignment(line.align)));
+        commands.push(this.GS, 0x48, this.getBarcodeHRI(line.hri)); // GS H - HRI position
+        commands.push(this.GS, 0x66, 0x00);                         // GS f - HRI font A
+        commands.push(this.GS, 0x68, line.height);                  // GS h - height in dots
+        commands.push(this.GS, 0x77, line.moduleWidth);             // GS w - module width
+        commands.push(this.GS, 0x6B, symbology, dataBytes.length, ...dataBytes);
+        commands.push(...this.feedLines(1));
+        commands.push(...this.setAlignment(this.ALIGN_LEFT));
+
+        return commands;
+    }
+
     /**
      * Cut paper
      * @returns {Array<number>} Command bytes
@@ -487,12 +477,12 @@ class ESCPOSGenerator {
     }
 
     /**
-     * Print text (convert string to bytes)
+     * Print text (encode string to the selected codepage)
      * @param {string} text - Text to print
      * @returns {Array<number>} Command bytes
      */
     printText(text) {
-        return this.stringToBytes(text);
+        return this.encoder.encode(text);
     }
 
     /**
@@ -504,6 +494,48 @@ class ESCPOSGenerator {
         return [this.ESC, 0x64, lines];
     }
 
+    /**
+     * Print a 1-bit bitmap with GS v 0 (raster bit image)
+     * Sent in bands of at most 128 rows so printers with small receive buffers keep up
+     * @param {object} bitmap - { width, height, bytesPerRow, data } with MSB = leftmost dot, 1 = black
+     * @returns {Array<number>} Command bytes
+     */
+    printRasterImage(bitmap) {
+        const commands = [...this.setAlignment(this.ALIGN_LEFT)];
+        const bandHeight = 128;
+
+        for (let top = 0; top < bitmap.height; top += bandHeight) {
+            const rows = Math.min(bandHeight, bitmap.height - top);
+            commands.push(
+                this.GS, 0x76, 0x30, 0x00, // GS v 0 m (normal density)
+                bitmap.bytesPerRow & 0xFF, bitmap.bytesPerRow >> 8,
+                rows & 0xFF, rows >> 8
+            );
+            const band = bitmap.data.subarray(top * bitmap.bytesPerRow, (top + rows) * bitmap.bytesPerRow);
+            for (let i = 0; i < band.length; i++) {
+                commands.push(band[i]);
+            }
+        }
+
+        return commands;
+    }
+
+    /**
+     * Feed paper by dots (ESC J n), split into chunks of at most 255 dots
+     * @param {number} dots - Number of dots to feed
+     * @returns {Array<number>} Command bytes
+     */
+    feedDots(dots) {
+        const commands = [];
+        let remaining = Math.max(0, Math.round(dots));
+        while (remaining > 0) {
+            const chunk = Math.min(remaining, 255);
+            commands.push(this.ESC, 0x4A, chunk);
+            remaining -= chunk;
+        }
+        return commands;
+    }
+
     /**
      * Get alignment value from string
      * @param {string} alignment - Alignment string (LEFT, CENTER, RIGHT)
@@ -541,12 +573,37 @@ class ESCPOSGenerator {
      * @returns {number} Size value (1-8)
      */
     getQRSize(size) {
-        const sizeMap = {
-            'SMALL': 3,
-            'MEDIUM': 6,
-            'LARGE': 8
+        // Shared with the preview so the on-screen symbol matches the printout
+        return receiptLayout.getQRModuleSize(size);
+    }
+
+    /**
+     * Get GS k (function B) symbology value
+     * @param {string} symbology - CODE128, EAN13 or CODE39
+     * @returns {number} Symbology value
+     */
+    getBarcodeSymbology(symbology) {
+        const symbologyMap = {
+            'EAN13': 0x43,   // 67
+            'CODE39': 0x45,  // 69
+            'CODE128': 0x49  // 73
         };
-        return sizeMap[size] || 6;
+        return symbologyMap[symbology] || 0x49;
+    }
+
+    /**
+     * Get barcode human-readable text position
+     * @param {string} position - NONE, ABOVE, BELOW or BOTH
+     * @returns {number} GS H value
+     */
+    getBarcodeHRI(position) {
+        const positionMap = {
+            'NONE': 0,
+            'ABOVE': 1,
+            'BELOW': 2,
+            'BOTH': 3
+        };
+        return positionMap[position] !== undefined ? positionMap[position] : 2;
     }
 
     /**
@@ -565,101 +622,7 @@ class ESCPOSGenerator {
     }
 
     /**
-     * Replace variables in text
-     * @param {string} text - Text with ${variable} placeholders
-     * @param {object} data - Data object
-     * @returns {string} Text with replaced values
-     */
-    replaceVariables(text, data) {
-        if (!text || typeof text !== 'string') return text;
-        
-        return text.replace(/\$\{([^}]+)\}/g, (match, varName) => {
-            const value = data[varName.trim()];
-            return value !== undefined && value !== null ? String(value) : match;
-        });
-    }
-
-    /**
-     * Wrap text to fit within character width
-     * @param {string} text - Text to wrap
-     * @param {number} maxWidth - Maximum width in characters
-     * @returns {Array<string>} Array of wrapped lines
-     */
-    wrapText(text, maxWidth) {
-        if (text.length <= maxWidth) {
-            return [text];
-        }
-
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
-
-        words.forEach(word => {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
-            if (testLine.length <= maxWidth) {
-                currentLine = testLine;
-            } else {
-                if (currentLine) {
-                    lines.push(currentLine);
-                }
-                currentLine = word.length > maxWidth ? word.substring(0, maxWidth) : word;
-            }
-        });
-
-        if (currentLine) {
-            lines.push(currentLine);
-        }
-
-        return lines.length > 0 ? lines : [text.substring(0, maxWidth)];
-    }
-
-    /**
-     * Format date from ISO string
-     * @param {string} dateString - ISO date string
-     * @returns {string} Formatted date (DD/MM/YYYY)
-     */
-    formatDate(dateString) {
-        if (!dateString) return '';
-        try {
-            const date = new Date(dateString);
-            const day = String(date.getDate()).padStart(2, '0');
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const year = date.getFullYear();
-            return `${day}/${month}/${year}`;
-        } catch (e) {
-            return dateString;
-        }
-    }
-
-    /**
-     * Format time from ISO string
-     * @param {string} dateString - ISO date string
-     * @returns {string} Formatted time (HH:MM:SS)
-     */
-    formatTime(dateString) {
-        if (!dateString) return '';
-        try {
-            const date = new Date(dateString);
-            const hours = String(date.getHours()).padStart(2, '0');
-            const minutes = String(date.getMinutes()).padStart(2, '0');
-            const seconds = String(date.getSeconds()).padStart(2, '0');
-            return `${hours}:${minutes}:${seconds}`;
-        } catch (e) {
-            return dateString;
-        }
-    }
-
-    /**
-     * Format number as currency
-     * @param {number} value - Numeric value
-     * @returns {string} Formatted currency string
-     */
-    formatCurrency(value) {
-        return `₹${parseFloat(value).toFixed(2)}`;
-    }
-
-    /**
-     * Convert string to byte array (UTF-8)
+     * Convert string to byte array (UTF-8, for QR code data)
      * @param {string} str - String to convert
      * @returns {Array<number>} Byte array
      */